@@ -0,0 +1,432 @@
+"use client"
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Button, buttonVariants } from '@/components/ui/button';
+import UserAvatar from '@/components/auth/UserAvatar';
+import { useAuth } from '@/contexts/AuthContext';
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+const labelClassName = "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+const EVENT_LABELS = {
+  'login.success': 'Signed in',
+  'login.failure': 'Failed sign-in attempt',
+  'signup': 'Account created',
+  'logout': 'Signed out',
+  'password.change': 'Password changed',
+  'password.reset': 'Password reset',
+  'role.change': 'Role changed by an administrator',
+  'token.reuse': 'Suspicious session reuse blocked',
+  'account.disable': 'Account disabled by an administrator',
+  'account.enable': 'Account re-enabled by an administrator',
+  'account.deletion-scheduled': 'Account deletion requested',
+  'account.deletion-cancelled': 'Account deletion cancelled by signing in',
+};
+
+const formatDateTime = (date) => {
+  return new Date(date).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const Status = ({ status }) => {
+  if (!status) return null;
+
+  return status.success ? (
+    <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+      {status.message}
+    </div>
+  ) : (
+    <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+      {status.message}
+    </div>
+  );
+};
+
+/**
+ * Account settings: profile details, email and password, plus links to the
+ * sessions and security pages.
+ *
+ * @returns {JSX.Element} The rendered account page.
+ */
+export default function Account() {
+  const { user, isAuthenticated, loading: authLoading, updateUser, logout } = useAuth();
+  const [profile, setProfile] = useState({ name: '', avatar: '', bio: '' });
+  const [emailForm, setEmailForm] = useState({ email: '', password: '' });
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [status, setStatus] = useState({});
+  const [pending, setPending] = useState(null);
+  const [events, setEvents] = useState(null);
+  const [deleteConfirmation, setDeleteConfirmation] = useState('');
+
+  // Fill the profile form once the user has loaded
+  useEffect(() => {
+    if (user) {
+      setProfile({ name: user.name || '', avatar: user.avatar || '', bio: user.bio || '' });
+    }
+  }, [user]);
+
+  // Load the user's recent security events
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    fetch('/api/auth/me/events')
+      .then(response => response.json())
+      .then(data => setEvents(data.success ? data.events : []))
+      .catch(() => setEvents([]));
+  }, [isAuthenticated]);
+
+  const submit = async (form, url, method, body) => {
+    setPending(form);
+    setStatus(prev => ({ ...prev, [form]: null }));
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      setStatus(prev => ({ ...prev, [form]: { success: data.success, message: data.message } }));
+      return data;
+    } catch (error) {
+      setStatus(prev => ({ ...prev, [form]: { success: false, message: 'Network error. Please try again.' } }));
+      return { success: false };
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+
+    if (!profile.name.trim()) {
+      setStatus(prev => ({ ...prev, profile: { success: false, message: 'Name is required' } }));
+      return;
+    }
+
+    const data = await submit('profile', '/api/auth/me', 'PATCH', {
+      ...profile,
+      name: profile.name.trim()
+    });
+    if (data.success) {
+      updateUser(data.user);
+    }
+  };
+
+  const uploadAvatar = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > 5 * 1024 * 1024) {
+      setStatus(prev => ({ ...prev, avatar: { success: false, message: 'Avatar must be 5 MB or smaller' } }));
+      return;
+    }
+
+    setPending('avatar');
+    setStatus(prev => ({ ...prev, avatar: null }));
+
+    try {
+      const body = new FormData();
+      body.append('avatar', file);
+
+      const response = await fetch('/api/auth/me/avatar', { method: 'POST', body });
+      const data = await response.json();
+      setStatus(prev => ({ ...prev, avatar: { success: data.success, message: data.message } }));
+      if (data.success) {
+        updateUser(data.user);
+      }
+    } catch (error) {
+      setStatus(prev => ({ ...prev, avatar: { success: false, message: 'Network error. Please try again.' } }));
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const changeEmail = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(emailForm.email)) {
+      setStatus(prev => ({ ...prev, email: { success: false, message: 'Email is invalid' } }));
+      return;
+    }
+
+    const data = await submit('email', '/api/auth/change-email', 'POST', emailForm);
+    if (data.success) {
+      setEmailForm({ email: '', password: '' });
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+
+    if (passwordForm.newPassword.length < 6) {
+      setStatus(prev => ({ ...prev, password: { success: false, message: 'Password must be at least 6 characters' } }));
+      return;
+    }
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setStatus(prev => ({ ...prev, password: { success: false, message: 'Passwords do not match' } }));
+      return;
+    }
+
+    const data = await submit('password', '/api/auth/change-password', 'POST', {
+      currentPassword: passwordForm.currentPassword,
+      newPassword: passwordForm.newPassword
+    });
+    if (data.success) {
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    }
+  };
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+
+    if (!window.confirm('Delete your account? You can still cancel by signing in again during the grace period.')) {
+      return;
+    }
+
+    const data = await submit('delete', '/api/auth/me', 'DELETE',
+      user.hasPassword ? { password: deleteConfirmation } : { email: deleteConfirmation }
+    );
+    if (data.success) {
+      window.alert(data.message);
+      await logout();
+    }
+  };
+
+  if (authLoading) {
+    return null;
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <div className="container mx-auto p-4">
+        <h1 className="text-4xl font-bold mb-8 text-center">Account</h1>
+        <p className="text-center">Please sign in to manage your account.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Account</h1>
+
+      <div className="max-w-xl mx-auto space-y-10">
+        <div className="flex gap-4 justify-center text-sm">
+          <Link href="/account/sessions" className="text-blue-600 hover:text-blue-500 font-medium">Active sessions</Link>
+          <Link href="/account/security" className="text-blue-600 hover:text-blue-500 font-medium">Two-factor authentication</Link>
+          {user.role === 'admin' && (
+            <Link href="/admin/users" className="text-blue-600 hover:text-blue-500 font-medium">Manage users</Link>
+          )}
+        </div>
+
+        {/* Profile details */}
+        <form onSubmit={saveProfile} className="space-y-4">
+          <h2 className="text-2xl font-bold">Profile</h2>
+          <div>
+            <label htmlFor="name" className={labelClassName}>Full Name</label>
+            <input
+              id="name"
+              type="text"
+              value={profile.name}
+              maxLength={60}
+              onChange={(e) => setProfile(prev => ({ ...prev, name: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex items-center gap-4">
+            <UserAvatar user={user} size={64} />
+            <div>
+              <label
+                htmlFor="avatarFile"
+                className="inline-block cursor-pointer text-sm text-blue-600 hover:text-blue-500 font-medium"
+              >
+                {pending === 'avatar' ? 'Uploading...' : 'Upload a new picture'}
+              </label>
+              <input
+                id="avatarFile"
+                type="file"
+                accept="image/jpeg,image/png,image/webp,image/gif"
+                onChange={uploadAvatar}
+                disabled={pending === 'avatar'}
+                className="sr-only"
+              />
+              <p className="text-xs text-gray-500">JPEG, PNG, WebP or GIF, up to 5 MB. It will be cropped to a square.</p>
+            </div>
+          </div>
+          <Status status={status.avatar} />
+          <div>
+            <label htmlFor="avatar" className={labelClassName}>Avatar URL</label>
+            <input
+              id="avatar"
+              type="text"
+              value={profile.avatar}
+              onChange={(e) => setProfile(prev => ({ ...prev, avatar: e.target.value }))}
+              className={inputClassName}
+              placeholder="https://..."
+            />
+          </div>
+          <div>
+            <label htmlFor="bio" className={labelClassName}>Bio</label>
+            <textarea
+              id="bio"
+              rows={4}
+              value={profile.bio}
+              maxLength={500}
+              onChange={(e) => setProfile(prev => ({ ...prev, bio: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <Status status={status.profile} />
+          <Button type="submit" disabled={pending === 'profile'}>
+            {pending === 'profile' ? 'Saving...' : 'Save profile'}
+          </Button>
+        </form>
+
+        {/* Email change */}
+        <form onSubmit={changeEmail} className="space-y-4">
+          <h2 className="text-2xl font-bold">Email</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Your email is <span className="font-medium">{user.email}</span>. We&apos;ll send a confirmation link to the new address before switching.
+          </p>
+          <div>
+            <label htmlFor="newEmail" className={labelClassName}>New Email</label>
+            <input
+              id="newEmail"
+              type="email"
+              value={emailForm.email}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, email: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="emailPassword" className={labelClassName}>Current Password</label>
+            <input
+              id="emailPassword"
+              type="password"
+              value={emailForm.password}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, password: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <Status status={status.email} />
+          <Button type="submit" variant="outline" disabled={pending === 'email'}>
+            {pending === 'email' ? 'Sending...' : 'Change email'}
+          </Button>
+        </form>
+
+        {/* Password change */}
+        <form onSubmit={changePassword} className="space-y-4">
+          <h2 className="text-2xl font-bold">Password</h2>
+          <div>
+            <label htmlFor="currentPassword" className={labelClassName}>Current Password</label>
+            <input
+              id="currentPassword"
+              type="password"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="newPassword" className={labelClassName}>New Password</label>
+            <input
+              id="newPassword"
+              type="password"
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="confirmPassword" className={labelClassName}>Confirm New Password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              value={passwordForm.confirmPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <Status status={status.password} />
+          <Button type="submit" variant="outline" disabled={pending === 'password'}>
+            {pending === 'password' ? 'Changing...' : 'Change password'}
+          </Button>
+        </form>
+
+        {/* Recent security activity */}
+        <div className="space-y-4">
+          <h2 className="text-2xl font-bold">Recent security activity</h2>
+          {!events ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">Loading activity...</p>
+          ) : !events.length ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">No activity recorded yet.</p>
+          ) : (
+            <ul className="divide-y border rounded-lg">
+              {events.map(event => (
+                <li key={event.id} className="p-3 text-sm">
+                  <div className="flex justify-between gap-4">
+                    <span className={event.type === 'login.failure' || event.type === 'token.reuse' ? 'font-medium text-red-600' : 'font-medium'}>
+                      {EVENT_LABELS[event.type] || event.type}
+                    </span>
+                    <span className="text-gray-500 whitespace-nowrap">{formatDateTime(event.createdAt)}</span>
+                  </div>
+                  {(event.browser || event.ip) && (
+                    <p className="text-xs text-gray-500">
+                      {[event.browser, event.ip].filter(Boolean).join(' · ')}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-gray-500">
+            Don&apos;t recognise something? Change your password and sign out your other sessions.
+          </p>
+        </div>
+
+        {/* Data export and account deletion */}
+        <div className="space-y-4">
+          <h2 className="text-2xl font-bold">Your data</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Download a copy of everything we store about you: your profile, linked accounts, sessions and security activity.
+          </p>
+          <a href="/api/auth/me/export" download className={buttonVariants({ variant: 'outline' })}>
+            Download my data
+          </a>
+        </div>
+
+        <form onSubmit={deleteAccount} className="space-y-4">
+          <h2 className="text-2xl font-bold text-red-600">Delete account</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            You&apos;ll be signed out everywhere and your account will be permanently deleted after a grace period. Signing in again before then cancels the deletion.
+          </p>
+          <div>
+            <label htmlFor="deleteConfirmation" className={labelClassName}>
+              {user.hasPassword ? 'Current Password' : 'Type your email to confirm'}
+            </label>
+            <input
+              id="deleteConfirmation"
+              type={user.hasPassword ? 'password' : 'email'}
+              value={deleteConfirmation}
+              onChange={(e) => setDeleteConfirmation(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <Status status={status.delete} />
+          <Button type="submit" variant="destructive" disabled={!deleteConfirmation || pending === 'delete'}>
+            {pending === 'delete' ? 'Deleting...' : 'Delete my account'}
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+"use client"
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/contexts/AuthContext';
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+/**
+ * Lets the signed-in user enrol in or turn off TOTP two-factor authentication.
+ *
+ * @returns {JSX.Element} The rendered security settings page.
+ */
+export default function Security() {
+  const { user, isAuthenticated, loading: authLoading, getCurrentUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  // The current password, or the email for accounts that only use OAuth
+  const [confirmation, setConfirmation] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const post = async (url, body) => {
+    setLoading(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body || {}),
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.message);
+      }
+      return data;
+    } catch (error) {
+      setError('Network error. Please try again.');
+      return { success: false };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startSetup = async () => {
+    const data = await post('/api/auth/2fa/setup');
+    if (data.success) {
+      setSetup(data);
+    }
+  };
+
+  const enable = async (e) => {
+    e.preventDefault();
+
+    const data = await post('/api/auth/2fa/enable', { code });
+    if (data.success) {
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      setMessage(data.message);
+      await getCurrentUser();
+    }
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+
+    const data = await post('/api/auth/2fa/disable', {
+      ...(user.hasPassword ? { password: confirmation } : { email: confirmation }),
+      code
+    });
+    if (data.success) {
+      setConfirmation('');
+      setCode('');
+      setMessage(data.message);
+      await getCurrentUser();
+    }
+  };
+
+  if (authLoading) {
+    return null;
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <div className="container mx-auto p-4">
+        <h1 className="text-4xl font-bold mb-8 text-center">Security</h1>
+        <p className="text-center">Please sign in to manage your security settings.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Security</h1>
+
+      <div className="max-w-xl mx-auto space-y-6">
+        <h2 className="text-2xl font-bold">Two-factor authentication</h2>
+
+        {message && (
+          <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <div className="p-4 border rounded-lg space-y-2">
+            <p className="font-medium">Save these recovery codes somewhere safe.</p>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Each code can be used once to sign in if you lose access to your authenticator app. They won&apos;t be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-sm">
+              {recoveryCodes.map(recoveryCode => (
+                <li key={recoveryCode}>{recoveryCode}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {user?.twoFactorEnabled ? (
+          <form onSubmit={disable} className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Two-factor authentication is on. To turn it off, confirm your {user.hasPassword ? 'password' : 'email address'} and a current code.
+            </p>
+            <input
+              type={user.hasPassword ? 'password' : 'email'}
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              className={inputClassName}
+              placeholder={user.hasPassword ? 'Current password' : 'Type your email to confirm'}
+            />
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              className={inputClassName}
+              placeholder="Authentication or recovery code"
+            />
+            <Button type="submit" variant="outline" disabled={loading}>
+              {loading ? 'Disabling...' : 'Disable two-factor authentication'}
+            </Button>
+          </form>
+        ) : setup ? (
+          <form onSubmit={enable} className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 bg-white p-2 rounded" />
+            <p className="text-sm">
+              Can&apos;t scan it? Enter this key manually: <code className="font-mono break-all">{setup.secret}</code>
+            </p>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              maxLength={6}
+              className={inputClassName}
+              placeholder="123456"
+            />
+            <Button type="submit" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify and enable'}
+            </Button>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Protect your account with a code from an authenticator app in addition to your password.
+            </p>
+            <Button onClick={startSetup} disabled={loading}>
+              Set up two-factor authentication
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
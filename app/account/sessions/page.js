@@ -0,0 +1,173 @@
+"use client"
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useAuth } from '@/contexts/AuthContext';
+
+const formatDateTime = (date) => {
+  return new Date(date).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Lists the devices the signed-in user is logged in on and lets them
+ * revoke individual sessions or sign out everywhere else.
+ *
+ * @returns {JSX.Element} The rendered sessions page.
+ */
+export default function Sessions() {
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await fetch('/api/auth/sessions');
+      const data = await response.json();
+
+      if (data.success) {
+        setSessions(data.sessions);
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadSessions();
+    }
+  }, [isAuthenticated, loadSessions]);
+
+  const revoke = async (url) => {
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await fetch(url, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.success) {
+        setMessage(data.message);
+        await loadSessions();
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  if (authLoading) {
+    return null;
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <div className="container mx-auto p-4">
+        <h1 className="text-4xl font-bold mb-8 text-center">Active Sessions</h1>
+        <p className="text-center">Please sign in to manage your sessions.</p>
+      </div>
+    );
+  }
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Active Sessions</h1>
+
+      <div className="max-w-4xl mx-auto">
+        <div className="flex justify-between items-center mb-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            These devices are currently signed in to your account.
+          </p>
+          <Button
+            variant="outline"
+            disabled={!hasOtherSessions}
+            onClick={() => revoke('/api/auth/sessions')}
+          >
+            Sign out everywhere else
+          </Button>
+        </div>
+
+        {message && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Browser</TableHead>
+              <TableHead>Location</TableHead>
+              <TableHead>Signed in</TableHead>
+              <TableHead>Last active</TableHead>
+              <TableHead></TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={5} className="text-center">Loading sessions...</TableCell>
+              </TableRow>
+            ) : sessions.map(session => (
+              <TableRow key={session.id}>
+                <TableCell className="font-medium">
+                  {session.browser}
+                  {session.current && (
+                    <span className="ml-2 text-xs text-green-600">(this device)</span>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {session.location || 'Unknown location'}
+                  {session.ip && (
+                    <span className="block text-xs text-gray-500">{session.ip}</span>
+                  )}
+                </TableCell>
+                <TableCell>{formatDateTime(session.createdAt)}</TableCell>
+                <TableCell>{formatDateTime(session.lastUsedAt)}</TableCell>
+                <TableCell className="text-right">
+                  {!session.current && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => revoke(`/api/auth/sessions/${session.id}`)}
+                    >
+                      Revoke
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
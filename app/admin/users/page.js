@@ -0,0 +1,262 @@
+"use client"
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useAuth } from '@/contexts/AuthContext';
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+const COLUMNS = [
+  { field: 'name', label: 'Name' },
+  { field: 'email', label: 'Email' },
+  { field: 'role', label: 'Role' },
+  { field: 'isVerified', label: 'Verified' },
+  { field: 'createdAt', label: 'Joined' },
+];
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric'
+  });
+};
+
+/**
+ * Admin user management: search, sort and page through accounts, and change
+ * roles, verify, disable or delete them.
+ *
+ * @returns {JSX.Element} The rendered user management page.
+ */
+export default function AdminUsers() {
+  const { user: currentUser, loading: authLoading } = useAuth();
+  const [query, setQuery] = useState({ q: '', sort: 'createdAt', order: 'desc', page: 1 });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ users: [], total: 0, pages: 1 });
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const isAdmin = currentUser?.role === 'admin';
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ ...query, page: String(query.page) });
+      const response = await fetch(`/api/admin/users?${params.toString()}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setResult(data);
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadUsers();
+    }
+  }, [isAdmin, loadUsers]);
+
+  // Search as the admin types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(prev => (prev.q === search.trim() ? prev : { ...prev, q: search.trim(), page: 1 }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const sortBy = (field) => {
+    setQuery(prev => ({
+      ...prev,
+      sort: field,
+      order: prev.sort === field && prev.order === 'asc' ? 'desc' : 'asc',
+      page: 1
+    }));
+  };
+
+  const act = async (url, method, body) => {
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setMessage(data.message);
+        await loadUsers();
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  const updateUser = (user, changes) => act(`/api/admin/users/${user.id}`, 'PATCH', changes);
+
+  const deleteUser = (user) => {
+    if (window.confirm(`Permanently delete ${user.email}? This cannot be undone.`)) {
+      act(`/api/admin/users/${user.id}`, 'DELETE');
+    }
+  };
+
+  if (authLoading) {
+    return null;
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="container mx-auto p-4">
+        <h1 className="text-4xl font-bold mb-8 text-center">Users</h1>
+        <p className="text-center">You need to be an administrator to manage users.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Users</h1>
+
+      <div className="max-w-6xl mx-auto">
+        <div className="flex justify-between items-center gap-4 mb-4">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className={`${inputClassName} max-w-sm`}
+            placeholder="Search by name or email"
+          />
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {result.total} {result.total === 1 ? 'user' : 'users'}
+          </p>
+        </div>
+
+        {message && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {COLUMNS.map(column => (
+                <TableHead key={column.field}>
+                  <button type="button" onClick={() => sortBy(column.field)} className="font-medium hover:underline">
+                    {column.label}
+                    {query.sort === column.field && (query.order === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </TableHead>
+              ))}
+              <TableHead></TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading && !result.users.length ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center">Loading users...</TableCell>
+              </TableRow>
+            ) : !result.users.length ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center">No users found.</TableCell>
+              </TableRow>
+            ) : result.users.map(user => {
+              const isSelf = user.id === currentUser.id;
+
+              return (
+                <TableRow key={user.id} className={user.disabled ? 'opacity-60' : undefined}>
+                  <TableCell className="font-medium">
+                    {user.name}
+                    {user.disabled && (
+                      <span className="ml-2 text-xs text-red-600">(disabled)</span>
+                    )}
+                  </TableCell>
+                  <TableCell>{user.email}</TableCell>
+                  <TableCell>
+                    <select
+                      value={user.role}
+                      disabled={isSelf}
+                      onChange={(e) => updateUser(user, { role: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600"
+                    >
+                      <option value="user">user</option>
+                      <option value="admin">admin</option>
+                    </select>
+                  </TableCell>
+                  <TableCell>
+                    {user.isVerified ? 'Yes' : (
+                      <Button size="sm" variant="outline" onClick={() => updateUser(user, { isVerified: true })}>
+                        Verify
+                      </Button>
+                    )}
+                  </TableCell>
+                  <TableCell>{formatDate(user.createdAt)}</TableCell>
+                  <TableCell className="text-right space-x-2 whitespace-nowrap">
+                    {!isSelf && (
+                      <>
+                        <Button size="sm" variant="outline" onClick={() => updateUser(user, { disabled: !user.disabled })}>
+                          {user.disabled ? 'Enable' : 'Disable'}
+                        </Button>
+                        <Button size="sm" variant="destructive" onClick={() => deleteUser(user)}>
+                          Delete
+                        </Button>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+
+        <div className="flex justify-between items-center mt-4">
+          <Button
+            variant="outline"
+            disabled={query.page <= 1}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            Previous
+          </Button>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Page {result.page || 1} of {result.pages}
+          </p>
+          <Button
+            variant="outline"
+            disabled={query.page >= result.pages}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import AuthEvent from '@/models/AuthEvent';
+import { withAuth } from '@/lib/auth';
+import { serializeAuthEvent } from '@/lib/audit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// CSV exports ignore pagination but stop here to keep responses bounded
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = ['createdAt', 'type', 'userEmail', 'user', 'actorEmail', 'actor', 'ip', 'userAgent', 'metadata'];
+
+// Quote a value for CSV, neutralising leading characters spreadsheets treat as formulas
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsv = (events) => {
+  const rows = events.map(event => {
+    const row = serializeAuthEvent(event);
+    return CSV_COLUMNS.map(column => {
+      if (column === 'createdAt') return csvCell(row.createdAt.toISOString());
+      if (column === 'metadata') return csvCell(JSON.stringify(row.metadata || {}));
+      return csvCell(row[column]);
+    }).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+// Parse a ?from= / ?to= value, ignoring anything that isn't a date
+const parseDate = (value) => {
+  const date = value && new Date(value);
+  return date && !isNaN(date) ? date : null;
+};
+
+// Build the query from ?type= (comma separated), ?user= and ?actor= (id or
+// email), ?ip=, ?from= and ?to=
+const buildFilter = (searchParams) => {
+  const filter = {};
+
+  const types = (searchParams.get('type') || '').split(',').map(type => type.trim()).filter(Boolean);
+  if (types.length) {
+    filter.type = { $in: types };
+  }
+
+  const user = searchParams.get('user');
+  if (user) {
+    if (mongoose.isValidObjectId(user)) {
+      filter.user = user;
+    } else {
+      filter.email = user.toLowerCase();
+    }
+  }
+
+  const actor = searchParams.get('actor');
+  if (actor && mongoose.isValidObjectId(actor)) {
+    filter.actor = actor;
+  }
+
+  if (searchParams.get('ip')) {
+    filter.ip = searchParams.get('ip');
+  }
+
+  const from = parseDate(searchParams.get('from'));
+  const to = parseDate(searchParams.get('to'));
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+};
+
+// Search the auth event log, newest first. ?format=csv downloads the matches.
+export const GET = withAuth({ roles: ['admin'], permissions: ['users:manage'] })(async (request) => {
+  try {
+    const searchParams = request.nextUrl.searchParams;
+    const filter = buildFilter(searchParams);
+
+    if (searchParams.get('format') === 'csv') {
+      const events = await AuthEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .populate('user', 'email')
+        .populate('actor', 'email');
+
+      return new Response(toCsv(events), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="auth-events-${new Date().toISOString().slice(0, 10)}.csv"`,
+        },
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+
+    const [total, events] = await Promise.all([
+      AuthEvent.countDocuments(filter),
+      AuthEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'email')
+        .populate('actor', 'email')
+    ]);
+
+    return NextResponse.json(
+      {
+        success: true,
+        events: events.map(serializeAuthEvent),
+        total,
+        page,
+        pages: Math.max(Math.ceil(total / limit), 1),
+        limit
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Audit log error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
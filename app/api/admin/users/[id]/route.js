@@ -0,0 +1,145 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { recordAuthEvent } from '@/lib/audit';
+import { deleteUserAccount } from '@/lib/account';
+import { ROLE_PERMISSIONS } from '@/lib/permissions';
+import { revokeUserSessions } from '@/lib/session';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const requireAdmin = withAuth({ roles: ['admin'], permissions: ['users:manage'] });
+
+const findUser = async (id) => {
+  return mongoose.isValidObjectId(id) ? User.findById(id) : null;
+};
+
+const notFound = () => {
+  return NextResponse.json(
+    { success: false, message: 'User not found' },
+    { status: 404 }
+  );
+};
+
+// Admins can't lock themselves out by demoting, disabling or deleting their own account
+const cannotChangeSelf = () => {
+  return NextResponse.json(
+    { success: false, message: 'You cannot do this to your own account' },
+    { status: 400 }
+  );
+};
+
+// Apply admin actions to a user. The body may contain any of:
+// { role: 'user' | 'admin', isVerified: true, disabled: boolean }
+export const PATCH = requireAdmin(async (request, { params, auth }) => {
+  try {
+    const { role, isVerified, disabled } = await request.json();
+
+    const user = await findUser(params.id);
+    if (!user) {
+      return notFound();
+    }
+
+    const isSelf = user._id.toString() === auth.userId;
+    let revokeSessions = null;
+    const events = [];
+
+    if (role !== undefined && role !== user.role) {
+      if (isSelf) {
+        return cannotChangeSelf();
+      }
+      if (!Object.hasOwn(ROLE_PERMISSIONS, role)) {
+        return NextResponse.json(
+          { success: false, message: 'Unknown role' },
+          { status: 400 }
+        );
+      }
+      events.push(['role.change', { from: user.role, to: role }]);
+      user.role = role;
+      // Access tokens carry the role, so end the old sessions for it to apply at once
+      revokeSessions = 'revoked';
+    }
+
+    if (isVerified === true) {
+      user.isVerified = true;
+    }
+
+    if (disabled !== undefined && disabled !== !!user.disabledAt) {
+      if (isSelf) {
+        return cannotChangeSelf();
+      }
+      user.disabledAt = disabled ? new Date() : null;
+      events.push([disabled ? 'account.disable' : 'account.enable', {}]);
+      if (disabled) {
+        revokeSessions = 'disabled';
+      }
+    }
+
+    await user.save();
+
+    if (revokeSessions) {
+      await revokeUserSessions(user._id, {}, revokeSessions);
+    }
+
+    for (const [type, metadata] of events) {
+      await recordAuthEvent(type, request, { user, actor: auth.userId, metadata });
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'User updated successfully',
+        user: user.toAdminJSON()
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Update user error:', error);
+
+    // Handle mongoose validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return NextResponse.json(
+        { success: false, message: messages.join(', ') },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
+
+// Permanently delete a user account
+export const DELETE = requireAdmin(async (request, { params, auth }) => {
+  try {
+    const user = await findUser(params.id);
+    if (!user) {
+      return notFound();
+    }
+
+    if (user._id.toString() === auth.userId) {
+      return cannotChangeSelf();
+    }
+
+    await deleteUserAccount(user, request, { actor: auth.userId });
+
+    return NextResponse.json(
+      { success: true, message: 'User deleted' },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const SORTABLE_FIELDS = ['name', 'email', 'role', 'isVerified', 'createdAt'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Escape user input for use inside a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List users with search (?q= on name or email), sorting (?sort=&order=asc|desc)
+// and pagination (?page=&limit=)
+export const GET = withAuth({ roles: ['admin'], permissions: ['users:manage'] })(async (request) => {
+  try {
+    const searchParams = request.nextUrl.searchParams;
+    const q = (searchParams.get('q') || '').trim();
+    const sort = SORTABLE_FIELDS.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'createdAt';
+    const order = searchParams.get('order') === 'asc' ? 1 : -1;
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const requestedPage = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const total = await User.countDocuments(filter);
+    const pages = Math.max(Math.ceil(total / limit), 1);
+    const page = Math.min(requestedPage, pages);
+
+    // _id breaks ties so pages don't overlap when many users share a sort value
+    const users = await User.find(filter)
+      .sort({ [sort]: order, _id: order })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return NextResponse.json(
+      {
+        success: true,
+        users: users.map(user => user.toAdminJSON()),
+        total,
+        page,
+        pages,
+        limit
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('List users error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { disableTwoFactor, verifySecondFactor, TWO_FACTOR_FIELDS } from '@/lib/two-factor';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Turn 2FA off. Requires both the password and a current code (or recovery code).
+// Users who only ever signed in with OAuth confirm with their email instead.
+export const POST = withAuth()(async (request, { auth }) => {
+  try {
+    const { password, email, code } = await request.json();
+
+    const user = await User.findById(auth.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!(user.password ? password : email) || !code) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: user.password
+            ? 'Please provide your password and a verification code'
+            : 'Please type your email address and a verification code'
+        },
+        { status: 400 }
+      );
+    }
+
+    const confirmed = user.password
+      ? await user.comparePassword(password)
+      : email.toLowerCase() === user.email;
+
+    if (!confirmed || !(await verifySecondFactor(user, code))) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: user.password ? 'Invalid password or verification code' : 'Invalid email or verification code'
+        },
+        { status: 401 }
+      );
+    }
+
+    await disableTwoFactor(user);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Two-factor authentication disabled',
+        user: user.toPublicJSON()
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
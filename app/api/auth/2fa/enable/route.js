@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { confirmEnrollment, TWO_FACTOR_FIELDS } from '@/lib/two-factor';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Confirm enrolment with a first code from the authenticator app
+export const POST = withAuth()(async (request, { auth }) => {
+  try {
+    const { code } = await request.json();
+
+    if (!code) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide a verification code' },
+        { status: 400 }
+      );
+    }
+
+    const user = await User.findById(auth.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, code);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+        user: user.toPublicJSON()
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    if (error.message === 'Invalid verification code' || error.message === 'Two-factor setup has not been started') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 }
+      );
+    }
+
+    console.error('Two-factor enable error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { startEnrollment, TWO_FACTOR_FIELDS } from '@/lib/two-factor';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Start 2FA enrolment: returns the otpauth URI, a QR code and the secret for manual entry
+export const POST = withAuth()(async (request, { auth }) => {
+  try {
+    const user = await User.findById(auth.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    if (user.twoFactorEnabled) {
+      return NextResponse.json(
+        { success: false, message: 'Two-factor authentication is already enabled' },
+        { status: 400 }
+      );
+    }
+
+    const { secret, otpauthUri, qrCode } = await startEnrollment(user);
+
+    return NextResponse.json(
+      { success: true, secret, otpauthUri, qrCode },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import User from '@/models/User';
+import { clearMfaChallengeCookie, getMfaChallengeFromRequest, getTokenExpiry, verifyMfaChallenge } from '@/lib/jwt';
+import { createSession, setSessionCookies } from '@/lib/session';
+import { createRateLimiter, tooManyRequests } from '@/lib/rate-limit';
+import { verifySecondFactor, TWO_FACTOR_FIELDS } from '@/lib/two-factor';
+import { recordAuthEvent } from '@/lib/audit';
+import { cancelAccountDeletion } from '@/lib/account';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// A million possible codes: keep guesses per account well below that
+const mfaLimiter = createRateLimiter({ name: 'mfa', limit: 5, windowMs: 5 * 60 * 1000 });
+
+// Second login step: exchange the challenge plus a code for a session. The
+// challenge comes in the body after a password login, or in a cookie after OAuth.
+export async function POST(request) {
+  try {
+    await dbConnect();
+
+    const body = await request.json();
+    const challengeToken = body.challengeToken || getMfaChallengeFromRequest(request);
+    const { code } = body;
+
+    // Validation
+    if (!challengeToken || !code) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide a verification code' },
+        { status: 400 }
+      );
+    }
+
+    const { userId } = verifyMfaChallenge(challengeToken);
+
+    const { allowed, retryAfter } = await mfaLimiter.consume(userId);
+    if (!allowed) {
+      return tooManyRequests('Too many verification attempts. Please try again later.', retryAfter);
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !(await verifySecondFactor(user, code))) {
+      await recordAuthEvent('login.failure', request, { user, actor: null, metadata: { reason: 'invalid-2fa-code' } });
+      return NextResponse.json(
+        { success: false, message: 'Invalid verification code' },
+        { status: 401 }
+      );
+    }
+
+    await mfaLimiter.reset(userId);
+
+    // Disabled between the password step and now
+    if (user.disabledAt) {
+      await recordAuthEvent('login.failure', request, { user, actor: null, metadata: { reason: 'disabled' } });
+      return NextResponse.json(
+        { success: false, message: 'This account has been disabled' },
+        { status: 403 }
+      );
+    }
+
+    await cancelAccountDeletion(user, request);
+
+    const tokens = await createSession(user, request);
+    await recordAuthEvent('login.success', request, { user, metadata: { method: '2fa' } });
+
+    const response = NextResponse.json(
+      {
+        success: true,
+        message: 'Login successful',
+        user: user.toPublicJSON(),
+        accessTokenExpiresAt: getTokenExpiry(tokens.accessToken)
+      },
+      { status: 200 }
+    );
+
+    return clearMfaChallengeCookie(setSessionCookies(response, tokens));
+
+  } catch (error) {
+    if (error.message === 'Invalid or expired challenge') {
+      return clearMfaChallengeCookie(NextResponse.json(
+        { success: false, message: 'Your sign-in attempt expired. Please sign in again.' },
+        { status: 401 }
+      ));
+    }
+
+    console.error('Two-factor verify error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { sendEmailChangeEmail } from '@/lib/verification';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Start an email change: the new address must be confirmed from the link sent to it
+export const POST = withAuth()(async (request, { auth }) => {
+  try {
+    const { email, password } = await request.json();
+
+    // Validation
+    if (!email) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide a new email' },
+        { status: 400 }
+      );
+    }
+
+    const newEmail = email.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(newEmail)) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide a valid email' },
+        { status: 400 }
+      );
+    }
+
+    const user = await User.findById(auth.userId);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return NextResponse.json(
+        { success: false, message: 'Password is incorrect' },
+        { status: 401 }
+      );
+    }
+
+    if (newEmail === user.email) {
+      return NextResponse.json(
+        { success: false, message: 'This is already your email' },
+        { status: 400 }
+      );
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return NextResponse.json(
+        { success: false, message: 'This email is already in use by another account' },
+        { status: 409 }
+      );
+    }
+
+    await sendEmailChangeEmail(user, newEmail);
+
+    return NextResponse.json(
+      { success: true, message: `We sent a confirmation link to ${newEmail}` },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Change email error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { revokeUserSessions } from '@/lib/session';
+import { recordAuthEvent } from '@/lib/audit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const POST = withAuth()(async (request, { auth }) => {
+  try {
+    const { currentPassword, newPassword } = await request.json();
+
+    const user = await User.findById(auth.userId);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    // Validation. Users who only ever signed in with OAuth have no password to confirm.
+    if ((user.password && !currentPassword) || !newPassword) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide your current and new password' },
+        { status: 400 }
+      );
+    }
+
+    if (newPassword.length < 6) {
+      return NextResponse.json(
+        { success: false, message: 'Password must be at least 6 characters long' },
+        { status: 400 }
+      );
+    }
+
+    if (user.password && !(await user.comparePassword(currentPassword))) {
+      return NextResponse.json(
+        { success: false, message: 'Current password is incorrect' },
+        { status: 401 }
+      );
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in but end every other session
+    await revokeUserSessions(user._id, { _id: { $ne: auth.sessionId } });
+    await recordAuthEvent('password.change', request, { user });
+
+    return NextResponse.json(
+      { success: true, message: 'Password changed successfully' },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Change password error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
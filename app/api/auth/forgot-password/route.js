@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { waitUntil } from '@vercel/functions';
+import dbConnect from '@/lib/mongodb';
+import User from '@/models/User';
+import { createRateLimiter, tooManyRequests } from '@/lib/rate-limit';
+import { getClientIp } from '@/lib/request';
+import { sendPasswordResetEmail } from '@/lib/verification';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Same response whether or not the account exists, so this can't be used to
+// find out which emails are registered
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If an account exists for that email, a password reset link has been sent.'
+};
+
+// Stop one network from mail-bombing addresses, and cap the links any one
+// address receives; over the email limit the request is quietly dropped
+const ipLimiter = createRateLimiter({ name: 'forgot-password-ip', limit: 10, windowMs: 60 * 60 * 1000 });
+const emailLimiter = createRateLimiter({ name: 'forgot-password-email', limit: 3, windowMs: 60 * 60 * 1000 });
+
+// Look the account up and mail it a link. Runs after the response is sent, so
+// neither timing nor mailer failures differ between registered and unknown
+// emails. waitUntil keeps a Vercel function alive until it finishes; a
+// long-running server simply carries on.
+const sendResetLinkIfRegistered = async (email) => {
+  try {
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+};
+
+export async function POST(request) {
+  try {
+    await dbConnect();
+
+    const { email } = await request.json();
+
+    // Validation
+    if (!email) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide an email' },
+        { status: 400 }
+      );
+    }
+
+    const clientIp = getClientIp(request);
+    const { allowed, retryAfter } = clientIp ? await ipLimiter.consume(clientIp) : { allowed: true };
+    if (!allowed) {
+      return tooManyRequests('Too many password reset requests. Please try again later.', retryAfter);
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+    if ((await emailLimiter.consume(normalizedEmail)).allowed) {
+      waitUntil(sendResetLinkIfRegistered(normalizedEmail));
+    }
+
+    return NextResponse.json(GENERIC_RESPONSE, { status: 200 });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
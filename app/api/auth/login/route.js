@@ -1,11 +1,25 @@
 import { NextResponse } from 'next/server';
 import dbConnect from '@/lib/mongodb';
 import User from '@/models/User';
-import { generateToken } from '@/lib/jwt';
+import { generateMfaChallenge, getTokenExpiry } from '@/lib/jwt';
+import { createSession, setSessionCookies } from '@/lib/session';
+import { createRateLimiter, tooManyRequests } from '@/lib/rate-limit';
+import { getClientIp } from '@/lib/request';
+import { recordAuthEvent } from '@/lib/audit';
+import { cancelAccountDeletion } from '@/lib/account';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Many users can share an IP (offices, NAT), so allow more attempts per IP than per account
+const ipLimiter = createRateLimiter({ name: 'login-ip', limit: 30, windowMs: WINDOW_MS });
+const accountLimiter = createRateLimiter({ name: 'login-account', limit: 10, windowMs: WINDOW_MS });
+
+// Seconds until the given date, rounded up
+const secondsUntil = (date) => Math.ceil((date.getTime() - Date.now()) / 1000);
+
 export async function POST(request) {
   try {
     await dbConnect();
@@ -20,53 +34,104 @@ export async function POST(request) {
       );
     }
 
+    // Rate limit per IP and per account before touching the password
+    const accountKey = email.toLowerCase();
+    const clientIp = getClientIp(request);
+    const ipLimit = clientIp ? await ipLimiter.consume(clientIp) : { allowed: true };
+    if (!ipLimit.allowed) {
+      return tooManyRequests('Too many login attempts. Please try again later.', ipLimit.retryAfter);
+    }
+
+    const accountLimit = await accountLimiter.consume(accountKey);
+    if (!accountLimit.allowed) {
+      return tooManyRequests('Too many login attempts. Please try again later.', accountLimit.retryAfter);
+    }
+
     // Find user by email
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: accountKey });
     if (!user) {
+      await recordAuthEvent('login.failure', request, { email: accountKey, metadata: { reason: 'unknown-email' } });
       return NextResponse.json(
         { success: false, message: 'Invalid email or password' },
         { status: 401 }
       );
     }
 
+    if (user.isLocked()) {
+      await recordAuthEvent('login.failure', request, { user, actor: null, metadata: { reason: 'locked' } });
+      return tooManyRequests(
+        'Account temporarily locked due to too many failed login attempts.',
+        secondsUntil(user.lockUntil)
+      );
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      await recordAuthEvent('login.failure', request, { user, actor: null, metadata: { reason: 'invalid-password' } });
+
+      if (user.isLocked()) {
+        return tooManyRequests(
+          'Account temporarily locked due to too many failed login attempts.',
+          secondsUntil(user.lockUntil)
+        );
+      }
+
       return NextResponse.json(
         { success: false, message: 'Invalid email or password' },
         { status: 401 }
       );
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role
-    });
-
-    // Return user data (without password) and token
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      avatar: user.avatar,
-      isVerified: user.isVerified,
-      createdAt: user.createdAt
-    };
+    await user.resetFailedLogins();
+    await accountLimiter.reset(accountKey);
 
-    return NextResponse.json(
+    // Only reveal that the account is disabled once the password has been proven
+    if (user.disabledAt) {
+      await recordAuthEvent('login.failure', request, { user, actor: null, metadata: { reason: 'disabled' } });
+      return NextResponse.json(
+        { success: false, message: 'This account has been disabled' },
+        { status: 403 }
+      );
+    }
+
+    // Password is right but a second factor is still needed: hand back a
+    // short-lived challenge instead of a session
+    if (user.twoFactorEnabled) {
+      return NextResponse.json(
+        {
+          success: true,
+          mfaRequired: true,
+          challengeToken: generateMfaChallenge(user._id),
+          message: 'Enter the code from your authenticator app'
+        },
+        { status: 200 }
+      );
+    }
+
+    // Signing in during the deletion grace period keeps the account
+    await cancelAccountDeletion(user, request);
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await createSession(user, request);
+    await recordAuthEvent('login.success', request, { user, metadata: { method: 'password' } });
+
+    // Return user data (without password); the tokens travel in httpOnly cookies
+    const userData = user.toPublicJSON();
+
+    const response = NextResponse.json(
       {
         success: true,
         message: 'Login successful',
         user: userData,
-        token
+        accessTokenExpiresAt: getTokenExpiry(tokens.accessToken)
       },
       { status: 200 }
     );
 
+    return setSessionCookies(response, tokens);
+
   } catch (error) {
     console.error('Login error:', error);
     
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import { clearAuthCookie, getRefreshTokenFromRequest } from '@/lib/jwt';
+import { revokeSession } from '@/lib/session';
+import { recordAuthEvent } from '@/lib/audit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  try {
+    const refreshToken = getRefreshTokenFromRequest(request);
+
+    // Revoke the session server-side so the refresh token can't be replayed
+    if (refreshToken) {
+      await dbConnect();
+      const session = await revokeSession(refreshToken);
+      if (session) {
+        await recordAuthEvent('logout', request, { user: session.user });
+      }
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
+  const response = NextResponse.json(
+    { success: true, message: 'Logged out successfully' },
+    { status: 200 }
+  );
+
+  return clearAuthCookie(response);
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { AVATAR_MAX_BYTES, AVATAR_TYPES, saveAvatar } from '@/lib/avatar';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Upload a new avatar as multipart/form-data in the "avatar" field
+export const POST = withAuth({ permissions: ['profile:update'] })(async (request, { auth }) => {
+  try {
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch (error) {
+      return NextResponse.json(
+        { success: false, message: 'Expected a multipart form upload' },
+        { status: 400 }
+      );
+    }
+
+    const file = formData.get('avatar');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json(
+        { success: false, message: 'Please choose an image to upload' },
+        { status: 400 }
+      );
+    }
+
+    if (!AVATAR_TYPES.includes(file.type)) {
+      return NextResponse.json(
+        { success: false, message: 'Avatar must be a JPEG, PNG, WebP or GIF image' },
+        { status: 415 }
+      );
+    }
+
+    if (file.size > AVATAR_MAX_BYTES) {
+      return NextResponse.json(
+        { success: false, message: 'Avatar must be 5 MB or smaller' },
+        { status: 413 }
+      );
+    }
+
+    const user = await User.findById(auth.userId);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    await saveAvatar(user, Buffer.from(await file.arrayBuffer()));
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Avatar updated successfully',
+        user: user.toPublicJSON()
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    if (error.message === 'Invalid image') {
+      return NextResponse.json(
+        { success: false, message: 'The uploaded file is not a valid image' },
+        { status: 400 }
+      );
+    }
+
+    console.error('Avatar upload error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import AuthEvent from '@/models/AuthEvent';
+import { withAuth } from '@/lib/auth';
+import { describeUserAgent } from '@/lib/user-agent';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const RECENT_EVENTS = 20;
+
+// Admin actions are shown as such without revealing the admin's device or IP
+const serializeOwnEvent = (event, userId) => {
+  const byAdmin = !!event.actor && event.actor.toString() !== userId;
+
+  return {
+    id: event._id,
+    type: event.type,
+    byAdmin,
+    browser: !byAdmin && event.userAgent ? describeUserAgent(event.userAgent) : null,
+    ip: byAdmin ? null : event.ip,
+    reason: event.metadata?.reason,
+    createdAt: event.createdAt
+  };
+};
+
+// The signed-in user's most recent security events
+export const GET = withAuth()(async (request, { auth }) => {
+  try {
+    const events = await AuthEvent.find({ user: auth.userId })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_EVENTS);
+
+    return NextResponse.json(
+      {
+        success: true,
+        events: events.map(event => serializeOwnEvent(event, auth.userId))
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Get events error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
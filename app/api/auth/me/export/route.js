@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { exportUserData } from '@/lib/account';
+import { createRateLimiter, tooManyRequests } from '@/lib/rate-limit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const exportLimiter = createRateLimiter({ name: 'data-export', limit: 5, windowMs: 60 * 60 * 1000 });
+
+// Download everything stored about the signed-in user as a JSON file
+export const GET = withAuth()(async (request, { auth }) => {
+  try {
+    const { allowed, retryAfter } = await exportLimiter.consume(auth.userId);
+    if (!allowed) {
+      return tooManyRequests('Too many export requests. Please try again later.', retryAfter);
+    }
+
+    const user = await User.findById(auth.userId);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    const data = await exportUserData(user);
+
+    return new Response(JSON.stringify(data, null, 2), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="account-export-${new Date().toISOString().slice(0, 10)}.json"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+
+  } catch (error) {
+    console.error('Export account error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
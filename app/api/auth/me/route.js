@@ -1,31 +1,55 @@
 import { NextResponse } from 'next/server';
-import dbConnect from '@/lib/mongodb';
 import User from '@/models/User';
-import { verifyToken, extractTokenFromHeader } from '@/lib/jwt';
+import { withAuth } from '@/lib/auth';
+import { deleteAvatarFiles, detachAvatar } from '@/lib/avatar';
+import { DELETION_GRACE_DAYS, scheduleAccountDeletion } from '@/lib/account';
+import { clearAuthCookie } from '@/lib/jwt';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
-export async function GET(request) {
+export const GET = withAuth()(async (request, { auth }) => {
   try {
-    await dbConnect();
-    
-    // Extract token from Authorization header
-    const authHeader = request.headers.get('authorization');
-    const token = extractTokenFromHeader(authHeader);
-    
-    if (!token) {
+    // Find user by ID; toPublicJSON never includes the password hash
+    const user = await User.findById(auth.userId);
+    if (!user) {
       return NextResponse.json(
-        { success: false, message: 'Access denied. No token provided.' },
-        { status: 401 }
+        { success: false, message: 'User not found' },
+        { status: 404 }
       );
     }
 
-    // Verify token
-    const decoded = verifyToken(token);
-    
-    // Find user by ID
-    const user = await User.findById(decoded.userId).select('-password');
+    // Return user data
+    const userData = user.toPublicJSON();
+
+    return NextResponse.json(
+      {
+        success: true,
+        user: userData,
+        accessTokenExpiresAt: new Date(auth.exp * 1000)
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
+
+// Fields users may change on their own profile
+const EDITABLE_FIELDS = ['name', 'avatar', 'bio'];
+
+// Update the signed-in user's profile
+export const PATCH = withAuth({ permissions: ['profile:update'] })(async (request, { auth }) => {
+  try {
+    const updates = await request.json();
+
+    const user = await User.findById(auth.userId);
     if (!user) {
       return NextResponse.json(
         { success: false, message: 'User not found' },
@@ -33,38 +57,100 @@ export async function GET(request) {
       );
     }
 
-    // Return user data
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      avatar: user.avatar,
-      isVerified: user.isVerified,
-      createdAt: user.createdAt
-    };
+    // Swapping an uploaded avatar for a URL (or clearing it) drops the stored
+    // files, but only once the new value has passed validation and saved
+    let previousAvatarKey;
+    if (updates.avatar !== undefined && updates.avatar !== user.avatar) {
+      previousAvatarKey = detachAvatar(user);
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        user[field] = updates[field];
+      }
+    }
+
+    // Schema validators (length limits, avatar format) run on save
+    await user.save();
+    await deleteAvatarFiles(previousAvatarKey);
 
     return NextResponse.json(
       {
         success: true,
-        user: userData
+        message: 'Profile updated successfully',
+        user: user.toPublicJSON()
       },
       { status: 200 }
     );
 
   } catch (error) {
-    console.error('Get user error:', error);
-    
-    if (error.message === 'Invalid token') {
+    // Handle mongoose validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
       return NextResponse.json(
-        { success: false, message: 'Invalid token' },
+        { success: false, message: messages.join(', ') },
+        { status: 400 }
+      );
+    }
+
+    console.error('Update user error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
+
+// Request deletion of the signed-in user's account. The account is signed out
+// everywhere and hard deleted once the grace period ends, unless the user
+// signs in again before then.
+export const DELETE = withAuth()(async (request, { auth }) => {
+  try {
+    const { password, email } = await request.json().catch(() => ({}));
+
+    const user = await User.findById(auth.userId);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    // Users who only ever signed in with OAuth confirm by typing their email instead
+    const confirmed = user.password
+      ? !!password && await user.comparePassword(password)
+      : !!email && email.toLowerCase() === user.email;
+
+    if (!confirmed) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: user.password ? 'Password is incorrect' : 'Please type your email address to confirm'
+        },
         { status: 401 }
       );
     }
-    
+
+    await scheduleAccountDeletion(user, request);
+
+    const response = NextResponse.json(
+      {
+        success: true,
+        message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. Sign in again before then to keep it.`,
+        deletionScheduledAt: user.deletionScheduledAt
+      },
+      { status: 200 }
+    );
+
+    return clearAuthCookie(response);
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+
     return NextResponse.json(
       { success: false, message: 'Internal server error' },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+});
@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import { generateMfaChallenge, setMfaChallengeCookie } from '@/lib/jwt';
+import { exchangeCode, findOrCreateOAuthUser, getProvider, isOAuthUserError, OAUTH_STATE_COOKIE } from '@/lib/oauth';
+import { getAppUrl } from '@/lib/site';
+import { createSession, setSessionCookies } from '@/lib/session';
+import { recordAuthEvent } from '@/lib/audit';
+import { cancelAccountDeletion } from '@/lib/account';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Send the browser back to the app; the one-time state cookie is always cleared
+const redirectTo = (url) => {
+  const response = NextResponse.redirect(url);
+  response.cookies.set(OAUTH_STATE_COOKIE, '', { path: '/api/auth/oauth', maxAge: 0 });
+  return response;
+};
+
+// Provider redirects here with ?code&state after the user consents
+export async function GET(request, { params }) {
+  const appUrl = getAppUrl();
+  const failed = (message) => redirectTo(`${appUrl}/?authError=${encodeURIComponent(message)}`);
+
+  const provider = getProvider(params.provider);
+  if (!provider) {
+    return failed('This sign-in method is not available');
+  }
+
+  const searchParams = request.nextUrl.searchParams;
+  if (searchParams.get('error')) {
+    return failed(`${provider.label} sign-in was cancelled`);
+  }
+
+  const [expectedState, codeVerifier] = (request.cookies.get(OAUTH_STATE_COOKIE)?.value || '').split('.');
+  const code = searchParams.get('code');
+  if (!code || !expectedState || searchParams.get('state') !== expectedState) {
+    return failed('Your sign-in attempt expired. Please try again.');
+  }
+
+  try {
+    await dbConnect();
+
+    const accessToken = await exchangeCode(provider, {
+      code,
+      codeVerifier,
+      redirectUri: `${appUrl}/api/auth/oauth/${provider.name}/callback`
+    });
+    const profile = await provider.getProfile(accessToken);
+    const user = await findOrCreateOAuthUser(provider.name, profile);
+
+    if (user.disabledAt) {
+      await recordAuthEvent('login.failure', request, { user, actor: null, metadata: { reason: 'disabled', method: provider.name } });
+      return failed('This account has been disabled');
+    }
+
+    // The provider stands in for the password only; 2FA still applies
+    if (user.twoFactorEnabled) {
+      return setMfaChallengeCookie(redirectTo(`${appUrl}/?mfaRequired=1`), generateMfaChallenge(user._id));
+    }
+
+    await cancelAccountDeletion(user, request);
+
+    const tokens = await createSession(user, request);
+    await recordAuthEvent('login.success', request, { user, metadata: { method: provider.name } });
+    return setSessionCookies(redirectTo(`${appUrl}/`), tokens);
+
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+
+    if (isOAuthUserError(error)) {
+      return failed(error.message);
+    }
+    return failed(`${provider.label} sign-in failed. Please try again.`);
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { buildAuthorizationUrl, createOAuthState, getProvider, OAUTH_STATE_COOKIE } from '@/lib/oauth';
+import { getAppUrl } from '@/lib/site';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Start OAuth sign-in: redirect to the provider's consent page
+export async function GET(request, { params }) {
+  const appUrl = getAppUrl();
+  const provider = getProvider(params.provider);
+
+  if (!provider || !provider.clientId) {
+    return NextResponse.redirect(
+      `${appUrl}/?authError=${encodeURIComponent('This sign-in method is not available')}`
+    );
+  }
+
+  const { state, codeVerifier } = createOAuthState();
+  const redirectUri = `${appUrl}/api/auth/oauth/${provider.name}/callback`;
+
+  const response = NextResponse.redirect(
+    buildAuthorizationUrl(provider, { redirectUri, state, codeVerifier })
+  );
+
+  // Lax so the cookie comes back on the provider's top-level redirect
+  response.cookies.set(OAUTH_STATE_COOKIE, `${state}.${codeVerifier}`, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api/auth/oauth',
+    maxAge: 10 * 60,
+  });
+
+  return response;
+}
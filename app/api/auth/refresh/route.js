@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import { clearAuthCookie, getRefreshTokenFromRequest, getTokenExpiry } from '@/lib/jwt';
+import { rotateSession, setSessionCookies } from '@/lib/session';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const refreshToken = getRefreshTokenFromRequest(request);
+
+  if (!refreshToken) {
+    return NextResponse.json(
+      { success: false, message: 'No refresh token provided' },
+      { status: 401 }
+    );
+  }
+
+  try {
+    await dbConnect();
+
+    const tokens = await rotateSession(refreshToken, request);
+
+    const response = NextResponse.json(
+      {
+        success: true,
+        accessTokenExpiresAt: getTokenExpiry(tokens.accessToken)
+      },
+      { status: 200 }
+    );
+
+    return setSessionCookies(response, tokens);
+
+  } catch (error) {
+    // Another tab rotated this token a moment ago and the browser already holds the new cookies
+    if (error.message === 'Refresh token already rotated') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 409 }
+      );
+    }
+
+    if (error.message === 'Invalid refresh token' || error.message === 'Refresh token reuse detected') {
+      const response = NextResponse.json(
+        { success: false, message: error.message },
+        { status: 401 }
+      );
+      return clearAuthCookie(response);
+    }
+
+    console.error('Refresh error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+// Only allow redirects back into this site. Browsers treat a backslash like
+// "/" and drop tabs and newlines, so "/\evil.com" would leave the site; reject those
+// outright, then make sure the resolved URL keeps our origin.
+const safeRedirectPath = (path, base) => {
+  if (!path || !path.startsWith('/') || /[\\\u0000-\u001f\u007f]/.test(path)) {
+    return '/';
+  }
+
+  const origin = new URL(base).origin;
+  const url = new URL(path, origin);
+  return url.origin === origin ? `${url.pathname}${url.search}${url.hash}` : '/';
+};
+
+// Browser-navigation variant used by middleware.js when a protected page is
+// requested with an expired access token: rotate, then go back to the page
+export async function GET(request) {
+  const next = safeRedirectPath(request.nextUrl.searchParams.get('next'), request.url);
+  const refreshToken = getRefreshTokenFromRequest(request);
+
+  const signInRedirect = () => {
+    const url = new URL('/', request.url);
+    url.searchParams.set('authError', 'Please sign in to continue.');
+    return clearAuthCookie(NextResponse.redirect(url));
+  };
+
+  if (!refreshToken) {
+    return signInRedirect();
+  }
+
+  try {
+    await dbConnect();
+
+    const tokens = await rotateSession(refreshToken, request);
+    return setSessionCookies(NextResponse.redirect(new URL(next, request.url)), tokens);
+
+  } catch (error) {
+    // Another tab already rotated; its cookies are on their way, so just retry the page
+    if (error.message === 'Refresh token already rotated') {
+      return NextResponse.redirect(new URL(next, request.url));
+    }
+
+    if (error.message !== 'Invalid refresh token' && error.message !== 'Refresh token reuse detected') {
+      console.error('Refresh error:', error);
+    }
+    return signInRedirect();
+  }
+}
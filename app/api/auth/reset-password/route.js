@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import User from '@/models/User';
+import { clearAuthCookie } from '@/lib/jwt';
+import { revokeUserSessions } from '@/lib/session';
+import { consumePasswordResetToken } from '@/lib/verification';
+import { recordAuthEvent } from '@/lib/audit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  try {
+    await dbConnect();
+
+    const { token, password } = await request.json();
+
+    // Validation
+    if (!token || !password) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide a reset token and a new password' },
+        { status: 400 }
+      );
+    }
+
+    if (password.length < 6) {
+      return NextResponse.json(
+        { success: false, message: 'Password must be at least 6 characters long' },
+        { status: 400 }
+      );
+    }
+
+    const record = await consumePasswordResetToken(token);
+
+    const user = await User.findById(record.user);
+    // The address changed after the link was sent
+    if (!user || user.email !== record.email) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid or expired reset token' },
+        { status: 400 }
+      );
+    }
+
+    user.password = password;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    // Following the emailed link proves the user owns the address
+    user.isVerified = true;
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await revokeUserSessions(user._id, {}, 'password-reset');
+    await recordAuthEvent('password.reset', request, { user });
+
+    const response = NextResponse.json(
+      { success: true, message: 'Password has been reset. Please sign in with your new password.' },
+      { status: 200 }
+    );
+
+    return clearAuthCookie(response);
+
+  } catch (error) {
+    if (error.message === 'Invalid or expired reset token') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 }
+      );
+    }
+
+    console.error('Reset password error:', error);
+
+    // Handle mongoose validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return NextResponse.json(
+        { success: false, message: messages.join(', ') },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { withAuth } from '@/lib/auth';
+import { revokeUserSessions } from '@/lib/session';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Revoke a single session belonging to the signed-in user
+export const DELETE = withAuth()(async (request, { params, auth }) => {
+  try {
+    if (params.id === auth.sessionId) {
+      return NextResponse.json(
+        { success: false, message: 'Use logout to end the current session' },
+        { status: 400 }
+      );
+    }
+
+    const revoked = mongoose.isValidObjectId(params.id)
+      ? await revokeUserSessions(auth.userId, { _id: params.id })
+      : 0;
+
+    if (!revoked) {
+      return NextResponse.json(
+        { success: false, message: 'Session not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      { success: true, message: 'Session revoked' },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
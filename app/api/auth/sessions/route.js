@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { getActiveSessions, revokeUserSessions } from '@/lib/session';
+import { describeUserAgent } from '@/lib/user-agent';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// List the signed-in user's active sessions
+export const GET = withAuth()(async (request, { auth }) => {
+  try {
+    const sessions = await getActiveSessions(auth.userId);
+
+    return NextResponse.json(
+      {
+        success: true,
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          browser: describeUserAgent(session.userAgent),
+          ip: session.ip,
+          location: session.location,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session._id.toString() === auth.sessionId
+        }))
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
+
+// Sign out everywhere else: revoke every session except the current one
+export const DELETE = withAuth()(async (request, { auth }) => {
+  try {
+    const revoked = await revokeUserSessions(auth.userId, {
+      _id: { $ne: auth.sessionId }
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+        revoked
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -1,11 +1,18 @@
 import { NextResponse } from 'next/server';
 import dbConnect from '@/lib/mongodb';
 import User from '@/models/User';
-import { generateToken } from '@/lib/jwt';
+import { getTokenExpiry } from '@/lib/jwt';
+import { createSession, setSessionCookies } from '@/lib/session';
+import { sendVerificationEmail } from '@/lib/verification';
+import { createRateLimiter, tooManyRequests } from '@/lib/rate-limit';
+import { getClientIp } from '@/lib/request';
+import { recordAuthEvent } from '@/lib/audit';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
+const ipLimiter = createRateLimiter({ name: 'signup-ip', limit: 5, windowMs: 60 * 60 * 1000 });
+
 export async function POST(request) {
   try {
     await dbConnect();
@@ -27,6 +34,12 @@ export async function POST(request) {
       );
     }
 
+    const clientIp = getClientIp(request);
+    const { allowed, retryAfter } = clientIp ? await ipLimiter.consume(clientIp) : { allowed: true };
+    if (!allowed) {
+      return tooManyRequests('Too many accounts created from this network. Please try again later.', retryAfter);
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -44,36 +57,33 @@ export async function POST(request) {
     });
 
     await user.save();
+    await recordAuthEvent('signup', request, { user });
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role
-    });
+    // A mail failure shouldn't fail signup; the user can resend from the banner
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
 
-    // Return user data (without password) and token
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      avatar: user.avatar,
-      isVerified: user.isVerified,
-      createdAt: user.createdAt
-    };
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await createSession(user, request);
 
-    return NextResponse.json(
+    // Return user data (without password); the tokens travel in httpOnly cookies
+    const userData = user.toPublicJSON();
+
+    const response = NextResponse.json(
       {
         success: true,
         message: 'User created successfully',
         user: userData,
-        token
+        accessTokenExpiresAt: getTokenExpiry(tokens.accessToken)
       },
       { status: 201 }
     );
 
+    return setSessionCookies(response, tokens);
+
   } catch (error) {
     console.error('Signup error:', error);
     
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import User from '@/models/User';
+import { consumeEmailVerificationToken } from '@/lib/verification';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Confirm an emailed verification token. No session is required so the link
+// works from any device.
+export async function POST(request) {
+  try {
+    await dbConnect();
+
+    const { token } = await request.json();
+
+    if (!token) {
+      return NextResponse.json(
+        { success: false, message: 'Please provide a verification token' },
+        { status: 400 }
+      );
+    }
+
+    const record = await consumeEmailVerificationToken(token);
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid or expired verification token' },
+        { status: 400 }
+      );
+    }
+
+    // Confirming a new address switches the account over to it
+    if (record.type === 'email-change') {
+      if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+        return NextResponse.json(
+          { success: false, message: 'This email is already in use by another account' },
+          { status: 409 }
+        );
+      }
+
+      user.email = record.email;
+      user.isVerified = true;
+      await user.save();
+
+      return NextResponse.json(
+        { success: true, message: 'Email address updated successfully' },
+        { status: 200 }
+      );
+    }
+
+    // The address changed after the link was sent
+    if (user.email !== record.email) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid or expired verification token' },
+        { status: 400 }
+      );
+    }
+
+    user.isVerified = true;
+    await user.save();
+
+    return NextResponse.json(
+      { success: true, message: 'Email verified successfully' },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    if (error.message === 'Invalid or expired verification token') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 }
+      );
+    }
+
+    console.error('Confirm verification email error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
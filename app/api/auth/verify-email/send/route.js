@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import User from '@/models/User';
+import { withAuth } from '@/lib/auth';
+import { sendVerificationEmail } from '@/lib/verification';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// (Re)send the verification link to the signed-in user's email address
+export const POST = withAuth()(async (request, { auth }) => {
+  try {
+    const user = await User.findById(auth.userId);
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    if (user.isVerified) {
+      return NextResponse.json(
+        { success: false, message: 'Email is already verified' },
+        { status: 400 }
+      );
+    }
+
+    await sendVerificationEmail(user);
+
+    return NextResponse.json(
+      { success: true, message: `Verification email sent to ${user.email}` },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Send verification email error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import { purgeScheduledDeletions } from '@/lib/account';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Hard delete accounts whose deletion grace period has ended. Scheduled in
+// vercel.json; Vercel Cron sends `Authorization: Bearer $CRON_SECRET`, and any
+// other scheduler can call it the same way.
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json(
+      { success: false, message: 'Unauthorized' },
+      { status: 401 }
+    );
+  }
+
+  try {
+    await dbConnect();
+
+    const deleted = await purgeScheduledDeletions(request);
+
+    return NextResponse.json(
+      { success: true, deleted },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Purge deleted accounts error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
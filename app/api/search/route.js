@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { MAX_QUERY_LENGTH, searchPosts } from '@/lib/search';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MAX_LIMIT = 50;
+
+// Search posts: /api/search?q=react+hooks&limit=10
+export async function GET(request) {
+  try {
+    const searchParams = request.nextUrl.searchParams;
+    const query = (searchParams.get('q') || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 10, 1), MAX_LIMIT);
+
+    const results = query ? searchPosts(query, { limit }) : [];
+
+    return NextResponse.json(
+      { success: true, query, results },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    console.error('Search error:', error);
+
+    return NextResponse.json(
+      { success: false, message: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
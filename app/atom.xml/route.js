@@ -0,0 +1,13 @@
+import { getAllPosts } from '@/lib/content';
+import { buildAtom } from '@/lib/feed';
+
+export const revalidate = 3600;
+
+// Atom feed of the latest posts
+export async function GET() {
+  return new Response(await buildAtom(getAllPosts()), {
+    headers: {
+      'Content-Type': 'application/atom+xml; charset=utf-8',
+    },
+  });
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import Link from 'next/link';
+import { getPostArchive } from '@/lib/content';
+
+export const revalidate = 3600;
+
+export const metadata = {
+  title: 'Archive',
+};
+
+const monthName = (year, month) => {
+  return new Date(Date.UTC(Number(year), Number(month) - 1, 1)).toLocaleDateString('en-GB', { month: 'long', timeZone: 'UTC' });
+};
+
+/**
+ * Every post grouped by year and month, newest first.
+ *
+ * @returns {JSX.Element} The rendered archive.
+ */
+const Archive = () => {
+  const years = getPostArchive();
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Archive</h1>
+
+      <div className="max-w-3xl mx-auto space-y-10">
+        {/* Jump links to each year */}
+        <nav className="flex flex-wrap justify-center gap-3 text-sm">
+          {years.map(({ year }) => (
+            <a key={year} href={`#${year}`} className="hover:underline">{year}</a>
+          ))}
+        </nav>
+
+        {years.map(({ year, months }) => (
+          <section key={year} id={year} className="space-y-6">
+            <h2 className="text-3xl font-bold">{year}</h2>
+            {months.map(({ month, posts }) => (
+              <div key={month} id={`${year}-${month}`}>
+                <h3 className="text-xl font-semibold mb-2">
+                  {monthName(year, month)} <span className="text-sm text-gray-500">({posts.length})</span>
+                </h3>
+                <ul className="space-y-1">
+                  {posts.map(post => (
+                    <li key={post.slug} className="flex gap-4">
+                      <span className="text-sm text-gray-500 w-8 shrink-0">{post.date.slice(8)}</span>
+                      <Link href={`/blogpost/${post.slug}`} className="hover:underline">{post.title}</Link>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Archive;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { notFound } from 'next/navigation';
+import PostList from '@/components/PostList';
+import { getAllAuthors, getPostsByAuthor } from '@/lib/content';
+
+export const revalidate = 3600;
+
+export async function generateStaticParams() {
+  return getAllAuthors().map(author => ({
+    author: author.slug
+  }));
+}
+
+const findAuthor = (slug) => getAllAuthors().find(author => author.slug === slug);
+
+export async function generateMetadata({ params }) {
+  const author = findAuthor(params.author);
+  return author ? { title: `Posts by ${author.name}` } : {};
+}
+
+/**
+ * Every post by one author, newest first.
+ *
+ * @returns {JSX.Element} The rendered author page.
+ */
+export default function AuthorPage({ params }) {
+  const author = findAuthor(params.author);
+  if (!author) {
+    notFound();
+  }
+
+  return (
+    <PostList
+      title={`Posts by ${author.name}`}
+      subtitle={`${author.count} ${author.count === 1 ? 'post' : 'posts'}`}
+      posts={getPostsByAuthor(author.slug)}
+      activeAuthor={author.slug}
+    />
+  );
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { notFound } from 'next/navigation';
+import PostList, { blogPageHref } from '@/components/PostList';
+import { getAllPosts, paginatePosts } from '@/lib/content';
+
+// Page 1 is /blog itself. A page that only exists once a scheduled post goes
+// live renders on its first request.
+export const revalidate = 3600;
+
+export async function generateStaticParams() {
+  const { pages } = paginatePosts(getAllPosts());
+  return Array.from({ length: pages - 1 }, (_, i) => ({
+    n: String(i + 2)
+  }));
+}
+
+export async function generateMetadata({ params }) {
+  return { title: `Blog - page ${params.n}` };
+}
+
+/**
+ * A later page of the blog index.
+ *
+ * @returns {JSX.Element} The rendered blog page.
+ */
+export default function BlogPage({ params }) {
+  // Only plain page numbers: "2.5", "2e0" or "02" would repeat a page under another URL
+  if (!/^[1-9]\d*$/.test(params.n)) {
+    notFound();
+  }
+
+  const { posts, page, pages } = paginatePosts(getAllPosts(), Number(params.n));
+  if (!posts.length || page < 2) {
+    notFound();
+  }
+
+  return (
+    <PostList
+      title="Blog"
+      subtitle={`Page ${page} of ${pages}`}
+      posts={posts}
+      page={page}
+      pages={pages}
+      hrefForPage={blogPageHref}
+    />
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+import { ImageResponse } from 'next/og';
+import ShareCard, { SHARE_CARD_SIZE } from '@/components/og/ShareCard';
+import { getPostBySlug, getPublishedPosts } from '@/lib/content';
+
+// Node runtime so the card can read the logo from public/
+export const runtime = 'nodejs';
+export const revalidate = 3600;
+
+export const size = SHARE_CARD_SIZE;
+export const contentType = 'image/png';
+export const alt = 'Post preview';
+
+// Rendered at build time for every published post
+export async function generateStaticParams() {
+  return getPublishedPosts().map(post => ({
+    slug: post.slug
+  }));
+}
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+export default function Image({ params }) {
+  const post = getPostBySlug(params.slug);
+  if (!post) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  return new ImageResponse(
+    (
+      <ShareCard
+        title={post.seoTitle || post.title}
+        meta={`${post.author} · ${formatDate(post.publishAt || post.date)}`}
+        tags={post.tags}
+      />
+    ),
+    size
+  );
+}
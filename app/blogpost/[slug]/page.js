@@ -1,27 +1,27 @@
-import fs from "fs"
-import matter from "gray-matter"
 import { notFound } from "next/navigation"
-import rehypeDocument from 'rehype-document'
-import rehypeFormat from 'rehype-format'
-import rehypeStringify from 'rehype-stringify'
-import remarkParse from 'remark-parse'
-import remarkRehype from 'remark-rehype'
-import {unified} from 'unified'
-import rehypePrettyCode from "rehype-pretty-code";
-import { transformerCopyButton } from '@rehype-pretty/transformers'
-import OnThisPage from "@/components/onthispage"
-import rehypeAutolinkHeadings from 'rehype-autolink-headings'
-import rehypeSlug from 'rehype-slug'
+import PostArticle from "@/components/PostArticle"
+import { getPostBySlug, getPostHtml, getPublishedPosts } from "@/lib/content"
+import { postMetadata, postStructuredData, serializeJsonLd } from "@/lib/seo"
+
+// Scheduled posts aren't built ahead of time; once their publishAt passes they
+// render on first request, and revalidation replaces the cached 404
+export const revalidate = 3600
 
 export async function generateStaticParams() {
-  const files = fs.readdirSync('content')
-  const markdownFiles = files.filter(file => file.endsWith('.md'))
-  
-  return markdownFiles.map(file => ({
-    slug: file.replace('.md', '')
+  return getPublishedPosts().map(post => ({
+    slug: post.slug
   }))
 }
 
+export async function generateMetadata({ params }) {
+  const post = getPostBySlug(params.slug)
+  if (!post) {
+    return {}
+  }
+
+  return postMetadata(post)
+}
+
 export default async function Page({ params }) {
 
     // const blog = {
@@ -32,57 +32,20 @@ export default async function Page({ params }) {
     //     content: "<p>This is the content of the blog post. It can include <strong>HTML</strong> tags and other elements.</p>"
     // };
 
-    const filepath = `content/${params.slug}.md`
-    
-    if(!fs.existsSync(filepath)){ 
-        notFound() 
-        return 
-    } 
-
-    const fileContent = fs.readFileSync(filepath, "utf-8")
-    const {content, data} = matter(fileContent)
-
-    const processor = unified()
-    .use(remarkParse)
-    .use(remarkRehype)
-    .use(rehypeDocument, {title: '👋🌍'})
-    .use(rehypeFormat)
-    .use(rehypeStringify) 
-    .use(rehypeSlug)
-    .use(rehypeAutolinkHeadings)
-    .use(rehypePrettyCode, {
-        theme: "github-dark",
-        transformers: [
-            transformerCopyButton({
-              visibility: 'always',
-              feedbackDuration: 3_000,
-            }),
-          ],
-
-      })
-
-    const htmlContent = (await processor.process(content)).toString()
+    const post = getPostBySlug(params.slug)
+    if (!post) {
+        notFound()
+    }
 
+    const htmlContent = await getPostHtml(post)
 
     return (
         <div className="max-w-7xl mx-auto p-4 pt-32">
-            <div className="flex flex-col lg:flex-row gap-8">
-                {/* Main content */}
-                <div className="flex-1 lg:max-w-4xl">
-                    <h1 className="text-4xl font-bold mb-4">{data.title}</h1>
-                    <p className="text-base mb-2 border-l-4 border-gray-500 pl-4 italic">&quot;{data.description}&quot;</p>
-                    <div className="flex gap-2">
-                        <p className="text-sm text-gray-500 mb-4 italic">By {data.author}</p>
-                        <p className="text-sm text-gray-500 mb-4">{data.date}</p>
-                    </div>
-                    <div dangerouslySetInnerHTML={{ __html: htmlContent }} className="prose dark:prose-invert"></div>
-                </div>
-                
-                {/* Sidebar with On This Page */}
-                <div className="lg:w-80 lg:sticky lg:top-32 lg:self-start">
-                    <OnThisPage htmlContent={htmlContent}/>
-                </div>
-            </div>
+            <script
+                type="application/ld+json"
+                dangerouslySetInnerHTML={{ __html: serializeJsonLd(postStructuredData(post)) }}
+            />
+            <PostArticle post={post} htmlContent={htmlContent} />
         </div>
     )
 }
\ No newline at end of file
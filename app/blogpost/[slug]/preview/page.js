@@ -0,0 +1,59 @@
+import React from 'react';
+import { notFound } from 'next/navigation';
+import PostArticle from '@/components/PostArticle';
+import { getServerUser } from '@/lib/auth';
+import { getPostBySlug, getPostHtml } from '@/lib/content';
+import { hasPermission } from '@/lib/permissions';
+
+// Rendered per request for the signed-in reader; never cached or indexed
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Preview',
+  robots: { index: false, follow: false },
+};
+
+const formatDateTime = (date) => {
+  return new Date(date).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC'
+  });
+};
+
+/**
+ * Preview of any post, drafts and scheduled ones included, for readers who
+ * can publish. Everyone else gets a 404, so unpublished posts stay hidden.
+ *
+ * @returns {JSX.Element} The rendered preview.
+ */
+export default async function PostPreview({ params }) {
+  const user = await getServerUser();
+  if (!user || !hasPermission(user.role, 'posts:publish')) {
+    notFound();
+  }
+
+  const post = getPostBySlug(params.slug, { includeUnpublished: true });
+  if (!post) {
+    notFound();
+  }
+
+  const htmlContent = await getPostHtml(post);
+  const isScheduled = post.publishAt && new Date(post.publishAt) > new Date();
+  const status = post.draft
+    ? 'Draft'
+    : isScheduled ? `Scheduled for ${formatDateTime(post.publishAt)} UTC` : 'Published';
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 pt-32">
+      <PostArticle post={post} htmlContent={htmlContent}>
+        <div className="mb-6 p-3 bg-yellow-100 border border-yellow-400 text-yellow-800 rounded">
+          Preview · {status}
+        </div>
+      </PostArticle>
+    </div>
+  );
+}
@@ -0,0 +1,5 @@
+// Twitter cards use the same image as Open Graph
+export { default, size, contentType, alt, generateStaticParams } from './opengraph-image';
+
+export const runtime = 'nodejs';
+export const revalidate = 3600;
@@ -0,0 +1,13 @@
+import { getAllPosts } from '@/lib/content';
+import { buildJsonFeed } from '@/lib/feed';
+
+export const revalidate = 3600;
+
+// JSON Feed of the latest posts
+export async function GET() {
+  return new Response(JSON.stringify(await buildJsonFeed(getAllPosts())), {
+    headers: {
+      'Content-Type': 'application/feed+json; charset=utf-8',
+    },
+  });
+}
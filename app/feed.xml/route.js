@@ -0,0 +1,14 @@
+import { getAllPosts } from '@/lib/content';
+import { buildRss } from '@/lib/feed';
+
+// Feeds follow the same hourly revalidation as the blog pages
+export const revalidate = 3600;
+
+// RSS 2.0 feed of the latest posts
+export async function GET() {
+  return new Response(await buildRss(getAllPosts()), {
+    headers: {
+      'Content-Type': 'application/rss+xml; charset=utf-8',
+    },
+  });
+}
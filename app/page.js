@@ -31,8 +31,15 @@ export default function Home() {
             Explore articles on programming, web development, data science, and more. Join me on a journey of continuous learning and discovery!
           </p>
           <div className="mt-6 bg-transparent border rounded-lg dark:border-gray-700 lg:w-2/3 focus-within:border-primary focus-within:ring focus-within:ring-primary dark:focus-within:border-primary focus-within:ring-opacity-20">
-            <form action="https://www.creative-tim.com/twcomponents/search" className="flex flex-wrap justify-between md:flex-row">
-             
+            <form action="/search" className="flex flex-wrap justify-between md:flex-row">
+              <input
+                type="search"
+                name="q"
+                placeholder="Search articles"
+                aria-label="Search articles"
+                className="flex-1 h-10 px-4 m-1 text-gray-700 placeholder-gray-400 bg-transparent border-none appearance-none dark:text-gray-200 focus:outline-none focus:placeholder-transparent focus:ring-0"
+              />
+              <Button type="submit" className="m-1">Search</Button>
             </form>
           </div>
         </div>
@@ -0,0 +1,18 @@
+import { absoluteUrl } from '@/lib/site';
+
+/**
+ * robots.txt: crawl everything public, but not the API, signed-in pages,
+ * one-off verification links or search results.
+ *
+ * @returns {import('next').MetadataRoute.Robots} The robots rules.
+ */
+export default function robots() {
+  return {
+    rules: {
+      userAgent: '*',
+      allow: '/',
+      disallow: ['/api/', '/account', '/admin', '/verify-email', '/search', '/uploads/']
+    },
+    sitemap: absoluteUrl('/sitemap.xml')
+  };
+}
@@ -0,0 +1,48 @@
+import React from 'react';
+import SearchResults from '@/components/search/SearchResults';
+import { MAX_QUERY_LENGTH, searchPosts } from '@/lib/search';
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+export const metadata = {
+  title: 'Search',
+};
+
+/**
+ * Full-page search results for ?q=.
+ *
+ * @returns {JSX.Element} The rendered search page.
+ */
+export default function Search({ searchParams }) {
+  // ?q=a&q=b arrives as an array; use the first
+  const q = Array.isArray(searchParams.q) ? searchParams.q[0] : searchParams.q;
+  const query = (q || '').trim().slice(0, MAX_QUERY_LENGTH);
+  const results = query ? searchPosts(query, { limit: 20 }) : [];
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Search</h1>
+
+      <div className="max-w-3xl mx-auto space-y-6">
+        <form action="/search" className="flex gap-2">
+          <input
+            type="search"
+            name="q"
+            defaultValue={query}
+            className={inputClassName}
+            placeholder="Search posts"
+            aria-label="Search posts"
+          />
+        </form>
+
+        {query && (
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {results.length ? `${results.length} ${results.length === 1 ? 'result' : 'results'} for “${query}”` : `No posts match “${query}”.`}
+          </p>
+        )}
+
+        <SearchResults results={results} />
+      </div>
+    </div>
+  );
+}
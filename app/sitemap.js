@@ -0,0 +1,58 @@
+import {
+  getAllAuthors,
+  getAllPosts,
+  getAllTags,
+  getPostsByAuthor,
+  getPostsByTag,
+  paginatePosts
+} from '@/lib/content';
+import { canonicalUrl } from '@/lib/seo';
+import { absoluteUrl, postUrl } from '@/lib/site';
+
+export const revalidate = 3600;
+
+// Latest `updated` or `date` among some posts
+const lastModified = (posts) => {
+  const dates = posts.map(post => post.updated || post.date).sort();
+  return dates.length ? new Date(dates[dates.length - 1]) : undefined;
+};
+
+// Posts marked noindex or canonicalised elsewhere don't belong in the sitemap
+const isIndexable = (post) => !post.noindex && canonicalUrl(post) === postUrl(post);
+
+/**
+ * Sitemap of every public page: home, the blog index and its later pages,
+ * posts, tags, authors and the archive. Unlisted posts are left out.
+ *
+ * @returns {import('next').MetadataRoute.Sitemap} The sitemap entries.
+ */
+export default function sitemap() {
+  const posts = getAllPosts();
+  const { pages } = paginatePosts(posts);
+  const latest = lastModified(posts);
+
+  const listing = (path, listedPosts, priority) => ({
+    url: absoluteUrl(path),
+    lastModified: lastModified(listedPosts),
+    changeFrequency: 'weekly',
+    priority
+  });
+
+  return [
+    { url: absoluteUrl('/'), lastModified: latest, changeFrequency: 'weekly', priority: 1 },
+    listing('/blog', paginatePosts(posts, 1).posts, 0.9),
+    ...Array.from({ length: pages - 1 }, (_, i) => {
+      return listing(`/blog/page/${i + 2}`, paginatePosts(posts, i + 2).posts, 0.5);
+    }),
+    ...posts.filter(isIndexable).map(post => ({
+      url: absoluteUrl(`/blogpost/${post.slug}`),
+      lastModified: new Date(post.updated || post.date),
+      changeFrequency: 'monthly',
+      priority: 0.8
+    })),
+    listing('/tags', posts, 0.5),
+    ...getAllTags().map(tag => listing(`/tags/${tag.slug}`, getPostsByTag(tag.slug), 0.4)),
+    ...getAllAuthors().map(author => listing(`/blog/author/${author.slug}`, getPostsByAuthor(author.slug), 0.4)),
+    listing('/blog/archive', posts, 0.3)
+  ];
+}
@@ -0,0 +1,33 @@
+import { getAllTags, getPostsByTag } from '@/lib/content';
+import { buildRss, siteFeed } from '@/lib/feed';
+import { absoluteUrl } from '@/lib/site';
+
+export const revalidate = 3600;
+
+export async function generateStaticParams() {
+  return getAllTags().map(tag => ({
+    tag: tag.slug
+  }));
+}
+
+// RSS 2.0 feed of the posts carrying one tag
+export async function GET(request, { params }) {
+  const tag = getAllTags().find(tag => tag.slug === params.tag);
+  if (!tag) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  const feed = {
+    ...siteFeed,
+    title: `${siteFeed.title}: #${tag.name}`,
+    description: `Posts tagged #${tag.name}`,
+    link: absoluteUrl(`/tags/${tag.slug}`),
+    rssUrl: absoluteUrl(`/tags/${tag.slug}/feed.xml`)
+  };
+
+  return new Response(await buildRss(getPostsByTag(tag.slug), feed), {
+    headers: {
+      'Content-Type': 'application/rss+xml; charset=utf-8',
+    },
+  });
+}
@@ -0,0 +1,40 @@
+import React from 'react';
+import { ImageResponse } from 'next/og';
+import ShareCard, { SHARE_CARD_SIZE } from '@/components/og/ShareCard';
+import { getAllTags, getPostsByTag } from '@/lib/content';
+
+// Node runtime so the card can read the logo from public/
+export const runtime = 'nodejs';
+export const revalidate = 3600;
+
+export const size = SHARE_CARD_SIZE;
+export const contentType = 'image/png';
+export const alt = 'Tag preview';
+
+// Rendered at build time for every tag
+export async function generateStaticParams() {
+  return getAllTags().map(tag => ({
+    tag: tag.slug
+  }));
+}
+
+export default function Image({ params }) {
+  const tag = getAllTags().find(tag => tag.slug === params.tag);
+  if (!tag) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  // Name the most recent posts so the card says what the tag is about
+  const latest = getPostsByTag(tag.slug).slice(0, 2).map(post => post.title);
+
+  return new ImageResponse(
+    (
+      <ShareCard
+        eyebrow={`${tag.count} ${tag.count === 1 ? 'post' : 'posts'}`}
+        title={`#${tag.name}`}
+        meta={latest.length ? `Latest: ${latest.join(' · ')}` : undefined}
+      />
+    ),
+    size
+  );
+}
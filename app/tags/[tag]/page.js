@@ -0,0 +1,54 @@
+import React from 'react';
+import { notFound } from 'next/navigation';
+import PostList from '@/components/PostList';
+import { getAllTags, getPostsByTag } from '@/lib/content';
+
+export const revalidate = 3600;
+
+export async function generateStaticParams() {
+  return getAllTags().map(tag => ({
+    tag: tag.slug
+  }));
+}
+
+const findTag = (slug) => getAllTags().find(tag => tag.slug === slug);
+
+export async function generateMetadata({ params }) {
+  const tag = findTag(params.tag);
+  if (!tag) {
+    return {};
+  }
+
+  return {
+    title: `Posts tagged #${tag.name}`,
+    alternates: {
+      types: {
+        'application/rss+xml': [
+          { url: `/tags/${tag.slug}/feed.xml`, title: `#${tag.name} RSS` },
+          { url: '/feed.xml', title: 'All posts RSS' }
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * Archive of the posts carrying one tag.
+ *
+ * @returns {JSX.Element} The rendered tag page.
+ */
+export default function TagPage({ params }) {
+  const tag = findTag(params.tag);
+  if (!tag) {
+    notFound();
+  }
+
+  return (
+    <PostList
+      title={`#${tag.name}`}
+      subtitle={`${tag.count} ${tag.count === 1 ? 'post' : 'posts'}`}
+      posts={getPostsByTag(tag.slug)}
+      activeTag={tag.slug}
+    />
+  );
+}
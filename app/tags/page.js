@@ -0,0 +1,40 @@
+import React from 'react';
+import Link from 'next/link';
+import { getAllTags } from '@/lib/content';
+
+export const revalidate = 3600;
+
+export const metadata = {
+  title: 'Tags',
+};
+
+/**
+ * Lists every tag used by a post with the number of posts carrying it.
+ *
+ * @returns {JSX.Element} The rendered tag index.
+ */
+const Tags = () => {
+  const tags = getAllTags();
+
+  return (
+    <div className="container mx-auto p-4">
+      <h1 className="text-4xl font-bold mb-8 text-center">Tags</h1>
+
+      <ul className="max-w-3xl mx-auto flex flex-wrap justify-center gap-3">
+        {tags.map(tag => (
+          <li key={tag.slug}>
+            <Link
+              href={`/tags/${tag.slug}`}
+              className="inline-flex items-center gap-2 rounded-full border px-4 py-2 font-medium hover:bg-gray-100 dark:hover:bg-gray-800"
+            >
+              #{tag.name}
+              <span className="text-xs text-gray-500">{tag.count}</span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Tags;
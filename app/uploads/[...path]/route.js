@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveUploadPath } from '@/lib/storage/local-storage';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+};
+
+// Serve files the local storage adapter wrote after the build. Files present in
+// public/ at build time are served by Next before this route is reached.
+export async function GET(request, { params }) {
+  const contentType = CONTENT_TYPES[path.extname(params.path.join('/')).toLowerCase()];
+  if (!contentType) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  try {
+    const body = await fs.readFile(resolveUploadPath(params.path.join('/')));
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': contentType,
+        // Upload keys are never reused, so the content can be cached forever
+        'Cache-Control': 'public, max-age=31536000, immutable',
+      },
+    });
+  } catch (error) {
+    return new Response('Not found', { status: 404 });
+  }
+}
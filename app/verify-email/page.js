@@ -0,0 +1,12 @@
+import VerifyEmail from '@/components/auth/VerifyEmail';
+
+export default function VerifyEmailPage({ searchParams }) {
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 flex flex-col items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white dark:bg-gray-800 p-8 rounded-lg shadow-lg text-center">
+        <h1 className="text-4xl font-extrabold text-gray-900 dark:text-white mb-6">Verify Email</h1>
+        <VerifyEmail token={searchParams.token} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import Link from 'next/link';
+import { getAllAuthors, getAllTags } from '@/lib/content';
+
+const linkClassName = "inline-block rounded-full border px-3 py-1 text-xs font-medium hover:bg-gray-100 dark:hover:bg-gray-800";
+const activeLinkClassName = "inline-block rounded-full border px-3 py-1 text-xs font-medium bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900";
+
+// Most used tags shown inline; the rest are one click away on /tags
+const MAX_TAGS = 10;
+
+// Filter links for the blog index: by tag, by author, and the archive.
+// Every filter is its own static page, so the blog stays statically generated.
+const BlogFilters = ({ activeTag, activeAuthor }) => {
+  const tags = getAllTags().slice(0, MAX_TAGS);
+  const authors = getAllAuthors();
+
+  return (
+    <div className="space-y-3 mb-8 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium mr-1">Tags:</span>
+        {tags.map(tag => (
+          <Link key={tag.slug} href={`/tags/${tag.slug}`} className={tag.slug === activeTag ? activeLinkClassName : linkClassName}>
+            #{tag.name}
+          </Link>
+        ))}
+        <Link href="/tags" className="text-xs hover:underline">All tags</Link>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium mr-1">Authors:</span>
+        {authors.map(author => (
+          <Link key={author.slug} href={`/blog/author/${author.slug}`} className={author.slug === activeAuthor ? activeLinkClassName : linkClassName}>
+            {author.name} ({author.count})
+          </Link>
+        ))}
+        <span className="mx-1 text-gray-400">|</span>
+        <Link href="/blog/archive" className="text-xs hover:underline">Archive by month</Link>
+        {(activeTag || activeAuthor) && (
+          <Link href="/blog" className="text-xs hover:underline">Clear filter</Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlogFilters;
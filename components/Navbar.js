@@ -14,9 +14,12 @@ import {
 import { ModeToggle } from './theme-btn';
 import LoadingBar from 'react-top-loading-bar';
 import { usePathname } from 'next/navigation';
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import AuthModal from './auth/AuthModal';
+import VerifyEmailBanner from './auth/VerifyEmailBanner';
+import UserAvatar from './auth/UserAvatar';
+import SearchDialog from './search/SearchDialog';
 
 
 
@@ -24,6 +27,11 @@ const Navbar = () => {
     const [progress, setProgress] = useState(0)
     const [authModalOpen, setAuthModalOpen] = useState(false)
     const [authMode, setAuthMode] = useState('login')
+    const [resetToken, setResetToken] = useState(null)
+    const [authError, setAuthError] = useState(null)
+    const [mfaPending, setMfaPending] = useState(false)
+    const [searchOpen, setSearchOpen] = useState(false)
+    const openSearch = useCallback(() => setSearchOpen(true), [])
     const pathname = usePathname()
     const { user, logout, isAuthenticated } = useAuth()
 
@@ -47,6 +55,33 @@ const Navbar = () => {
        setProgress(0)
       }, 50);
     }, [])
+
+    // Password reset emails and the OAuth callback link back here with
+    // ?resetToken=..., ?authError=... or ?mfaRequired=1 (the challenge itself
+    // stays in an httpOnly cookie)
+    useEffect(() => {
+      const url = new URL(window.location.href)
+      const token = url.searchParams.get('resetToken')
+      const error = url.searchParams.get('authError')
+      const mfaRequired = url.searchParams.has('mfaRequired')
+      if (!token && !error && !mfaRequired) return
+
+      if (token) {
+        setResetToken(token)
+        setAuthMode('reset')
+      } else {
+        setAuthError(error)
+        setMfaPending(mfaRequired)
+        setAuthMode('login')
+      }
+      setAuthModalOpen(true)
+
+      // Keep single-use tokens out of the address bar and history
+      url.searchParams.delete('resetToken')
+      url.searchParams.delete('authError')
+      url.searchParams.delete('mfaRequired')
+      window.history.replaceState(null, '', url.pathname + url.search + url.hash)
+    }, [])
     
     
     return (
@@ -69,13 +104,26 @@ const Navbar = () => {
                     <Link href="/blog" className="hover:scale-105 hover:font-semibold transition-transform duration-300">
                         Blog
                     </Link>
+                    <Link href="/tags" className="hover:scale-105 hover:font-semibold transition-transform duration-300">
+                        Tags
+                    </Link>
+
+                    <button
+                        type="button"
+                        onClick={openSearch}
+                        className="flex items-center gap-2 rounded-md border px-3 py-1.5 text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"
+                    >
+                        Search
+                        <kbd className="text-xs border rounded px-1">Ctrl K</kbd>
+                    </button>
 
                     <div className='flex items-center'>
                         {isAuthenticated ? (
                             <div className='flex items-center space-x-2'>
-                                <span className='text-sm text-gray-600 dark:text-gray-300'>
+                                <Link href="/account" className='flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 hover:underline'>
+                                    <UserAvatar user={user} size={32} />
                                     Welcome, {user?.name}
-                                </span>
+                                </Link>
                                 <Button 
                                     className="mx-1" 
                                     variant="outline"
@@ -113,6 +161,11 @@ const Navbar = () => {
                 </div>
 
                 <div className="md:hidden">
+                        <button type="button" onClick={openSearch} aria-label="Search" className="mx-2 align-middle">
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-4.35-4.35M17 11a6 6 0 11-12 0 6 6 0 0112 0z"></path>
+                            </svg>
+                        </button>
                         <span className="mx-2"> 
                             <ModeToggle />
                         </span>
@@ -134,13 +187,17 @@ const Navbar = () => {
                                         <Link href="/blog">
                                             Blog
                                         </Link>
+                                        <Link href="/tags">
+                                            Tags
+                                        </Link>
 
                                         <div>
                                             {isAuthenticated ? (
                                                 <div className='space-y-2'>
-                                                    <div className='text-sm text-gray-600 dark:text-gray-300'>
+                                                    <Link href="/account" className='flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300'>
+                                                        <UserAvatar user={user} size={28} />
                                                         Welcome, {user?.name}
-                                                    </div>
+                                                    </Link>
                                                     <Button 
                                                         className="w-full text-xs" 
                                                         variant="outline"
@@ -187,11 +244,25 @@ const Navbar = () => {
             </div>
 
         </nav>
+        <VerifyEmailBanner />
+
+        <SearchDialog
+            isOpen={searchOpen}
+            onOpen={openSearch}
+            onClose={() => setSearchOpen(false)}
+        />
         
         <AuthModal 
             isOpen={authModalOpen}
-            onClose={() => setAuthModalOpen(false)}
+            onClose={() => {
+                setAuthModalOpen(false)
+                setAuthError(null)
+                setMfaPending(false)
+            }}
             initialMode={authMode}
+            resetToken={resetToken}
+            authError={authError}
+            mfaPending={mfaPending}
         />
         </>
     );
@@ -0,0 +1,31 @@
+import React from 'react';
+import Link from 'next/link';
+import { buttonVariants } from '@/components/ui/button';
+
+// Previous/next links and page numbers for a paginated list
+const Pagination = ({ page, pages, hrefForPage }) => {
+  if (pages <= 1) return null;
+
+  return (
+    <nav aria-label="Pagination" className="flex justify-center items-center gap-2 mt-10">
+      {page > 1 && (
+        <Link href={hrefForPage(page - 1)} className={buttonVariants({ variant: 'outline' })}>Previous</Link>
+      )}
+      {Array.from({ length: pages }, (_, i) => i + 1).map(n => (
+        <Link
+          key={n}
+          href={hrefForPage(n)}
+          aria-current={n === page ? 'page' : undefined}
+          className={buttonVariants({ variant: n === page ? 'default' : 'ghost', size: 'sm' })}
+        >
+          {n}
+        </Link>
+      ))}
+      {page < pages && (
+        <Link href={hrefForPage(page + 1)} className={buttonVariants({ variant: 'outline' })}>Next</Link>
+      )}
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,36 @@
+import React from 'react';
+import OnThisPage from './onthispage';
+import TagChips from './TagChips';
+
+/**
+ * A full post: title, description, byline, tags, rendered body and the
+ * "On This Page" sidebar. Anything passed as children shows above the title.
+ *
+ * @param {{ post: object, htmlContent: string, children?: React.ReactNode }} props
+ * @returns {JSX.Element} The rendered post.
+ */
+const PostArticle = ({ post, htmlContent, children }) => {
+  return (
+    <div className="flex flex-col lg:flex-row gap-8">
+      {/* Main content */}
+      <div className="flex-1 lg:max-w-4xl">
+        {children}
+        <h1 className="text-4xl font-bold mb-4">{post.title}</h1>
+        <p className="text-base mb-2 border-l-4 border-gray-500 pl-4 italic">&quot;{post.description}&quot;</p>
+        <div className="flex gap-2">
+          <p className="text-sm text-gray-500 mb-4 italic">By {post.author}</p>
+          <p className="text-sm text-gray-500 mb-4">{post.date}</p>
+        </div>
+        <TagChips tags={post.tags} className="mb-6" />
+        <div dangerouslySetInnerHTML={{ __html: htmlContent }} className="prose dark:prose-invert"></div>
+      </div>
+
+      {/* Sidebar with On This Page */}
+      <div className="lg:w-80 lg:sticky lg:top-32 lg:self-start">
+        <OnThisPage htmlContent={htmlContent}/>
+      </div>
+    </div>
+  );
+};
+
+export default PostArticle;
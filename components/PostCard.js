@@ -0,0 +1,48 @@
+import React from 'react';
+import Link from 'next/link';
+import { buttonVariants } from '@/components/ui/button';
+import TagChips from './TagChips';
+
+/**
+ * Card for a post in a list: image, title, description, author, date, tags
+ * and a link to the full post.
+ *
+ * @param {{ post: object }} props The post to show.
+ * @returns {JSX.Element} The rendered card.
+ */
+const PostCard = ({ post }) => {
+  return (
+    <div className="rounded-lg shadow-md overflow-hidden  dark:border-2">
+      {/* Blog post image */}
+      <img src={post.image} alt={post.title} className="w-full h-64 object-cover" />
+
+      {/* Blog post content */}
+      <div className="p-4">
+        {/* Unpublished posts only show up in development */}
+        {(post.draft || post.publishAt > new Date().toISOString()) && (
+          <span className="inline-block mb-2 rounded bg-yellow-100 px-2 py-0.5 text-xs font-medium text-yellow-800">
+            {post.draft ? 'Draft' : `Scheduled for ${new Date(post.publishAt).toLocaleString('en-GB')}`}
+          </span>
+        )}
+
+        {/* Blog post title */}
+        <h2 className="text-2xl font-bold mb-2">{post.title}</h2>
+
+        {/* Blog post description */}
+        <p className=" mb-4">{post.description}</p>
+
+        {/* Blog post author and date */}
+        <div className="text-sm  mb-4">
+          <span>By {post.author}</span> | <span>{new Date(post.date).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric', timeZone: 'UTC' })}</span>
+        </div>
+
+        <TagChips tags={post.tags} className="mb-4" />
+
+        {/* Link to the full blog post */}
+        <Link href={`/blogpost/${post.slug}`} className={buttonVariants({ variant: "outline" })}>Click here</Link>
+      </div>
+    </div>
+  );
+};
+
+export default PostCard;
@@ -0,0 +1,40 @@
+import React from 'react';
+import BlogFilters from './BlogFilters';
+import Pagination from './Pagination';
+import PostCard from './PostCard';
+
+// Page 1 of the blog lives at /blog, later pages at /blog/page/[n]
+export const blogPageHref = (n) => (n === 1 ? '/blog' : `/blog/page/${n}`);
+
+/**
+ * A heading, the blog filters and a grid of post cards, with pagination when
+ * `pages` is more than one. Shared by the blog index and its filtered views.
+ *
+ * @returns {JSX.Element} The rendered post list.
+ */
+const PostList = ({ title, subtitle, posts, page = 1, pages = 1, hrefForPage, activeTag, activeAuthor }) => {
+  return (
+    <div className="container mx-auto p-4">
+      {/* Main heading for the blog section */}
+      <h1 className={`text-4xl font-bold text-center ${subtitle ? 'mb-2' : 'mb-8'}`}>{title}</h1>
+      {subtitle && (
+        <p className="text-center text-gray-500 mb-8">{subtitle}</p>
+      )}
+
+      <BlogFilters activeTag={activeTag} activeAuthor={activeAuthor} />
+
+      {/* Grid layout for blog posts */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+        {posts.map(post => (
+          <PostCard key={post.slug} post={post} />
+        ))}
+      </div>
+
+      {hrefForPage && (
+        <Pagination page={page} pages={pages} hrefForPage={hrefForPage} />
+      )}
+    </div>
+  );
+};
+
+export default PostList;
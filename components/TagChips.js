@@ -0,0 +1,25 @@
+import React from 'react';
+import Link from 'next/link';
+import { tagSlug } from '@/lib/content/tags';
+
+// A post's tags as links to their archive pages
+const TagChips = ({ tags, className = '' }) => {
+  if (!tags?.length) return null;
+
+  return (
+    <ul className={`flex flex-wrap gap-2 ${className}`}>
+      {tags.map(tag => (
+        <li key={tag}>
+          <Link
+            href={`/tags/${tagSlug(tag)}`}
+            className="inline-block rounded-full border px-3 py-1 text-xs font-medium hover:bg-gray-100 dark:hover:bg-gray-800"
+          >
+            #{tag}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default TagChips;
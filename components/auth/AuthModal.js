@@ -3,13 +3,25 @@
 import React, { useState, useEffect } from 'react';
 import LoginForm from './LoginForm';
 import SignupForm from './SignupForm';
+import ForgotPasswordForm from './ForgotPasswordForm';
+import ResetPasswordForm from './ResetPasswordForm';
+import OAuthButtons from './OAuthButtons';
 
-const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
+const TITLES = {
+  login: 'Sign In',
+  signup: 'Create Account',
+  forgot: 'Forgot Password',
+  reset: 'Reset Password'
+};
+
+const AuthModal = ({ isOpen, onClose, initialMode = 'login', resetToken, authError, mfaPending }) => {
   const [mode, setMode] = useState(initialMode);
+  const [notice, setNotice] = useState('');
 
   // Update mode when initialMode changes
   useEffect(() => {
     setMode(initialMode);
+    setNotice('');
   }, [initialMode]);
 
   if (!isOpen) return null;
@@ -22,13 +34,18 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
     setMode(mode === 'login' ? 'signup' : 'login');
   };
 
+  const handleResetSuccess = (message) => {
+    setNotice(message);
+    setMode('login');
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 p-4 pt-16 overflow-y-auto">
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full my-8 max-h-[calc(100vh-8rem)] flex flex-col">
         <div className="p-6 flex-shrink-0">
           <div className="flex justify-between items-center mb-6">
             <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
-              {mode === 'login' ? 'Sign In' : 'Create Account'}
+              {TITLES[mode]}
             </h2>
             <button
               onClick={onClose}
@@ -41,17 +58,37 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
         </div>
         
         <div className="px-6 pb-6 flex-1 overflow-y-auto">
-          {mode === 'login' ? (
+          {(mode === 'login' || mode === 'signup') && !mfaPending && (
+            <OAuthButtons />
+          )}
+          {mode === 'login' && (
             <LoginForm
+              notice={notice}
+              initialError={authError}
+              initialMfaPending={mfaPending}
               onSuccess={handleSuccess}
               onSwitchToSignup={handleSwitchMode}
+              onForgotPassword={() => setMode('forgot')}
             />
-          ) : (
+          )}
+          {mode === 'signup' && (
             <SignupForm
               onSuccess={handleSuccess}
               onSwitchToLogin={handleSwitchMode}
             />
           )}
+          {mode === 'forgot' && (
+            <ForgotPasswordForm
+              onSwitchToLogin={() => setMode('login')}
+            />
+          )}
+          {mode === 'reset' && (
+            <ResetPasswordForm
+              token={resetToken}
+              onSuccess={handleResetSuccess}
+              onSwitchToForgot={() => setMode('forgot')}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -1,18 +1,42 @@
 'use client';
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import { Button } from '@/components/ui/button';
+import TwoFactorForm from './TwoFactorForm';
 
-const LoginForm = ({ onSuccess, onSwitchToSignup }) => {
+const LoginForm = ({ notice, initialError, initialMfaPending, onSuccess, onSwitchToSignup, onForgotPassword }) => {
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState(initialError ? { general: initialError } : {});
   const [loading, setLoading] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [challengeToken, setChallengeToken] = useState(null);
+  // After OAuth the challenge is in an httpOnly cookie, so there is no token to hold
+  const [mfaPending, setMfaPending] = useState(!!initialMfaPending);
   const { login } = useAuth();
 
+  // Tick once a second while locked out so the countdown stays current
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) {
+        setLockedUntil(null);
+        setErrors({});
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const remainingSeconds = lockedUntil ? Math.max(Math.ceil((lockedUntil - now) / 1000), 0) : 0;
+  const remainingTime = `${Math.floor(remainingSeconds / 60)}:${String(remainingSeconds % 60).padStart(2, '0')}`;
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -57,8 +81,14 @@ const LoginForm = ({ onSuccess, onSwitchToSignup }) => {
       
       if (result.success) {
         onSuccess && onSuccess();
+      } else if (result.mfaRequired) {
+        setChallengeToken(result.challengeToken);
       } else {
         setErrors({ general: result.message });
+        if (result.retryAfter) {
+          setNow(Date.now());
+          setLockedUntil(Date.now() + result.retryAfter * 1000);
+        }
       }
     } catch (error) {
       setErrors({ general: 'An unexpected error occurred' });
@@ -67,9 +97,29 @@ const LoginForm = ({ onSuccess, onSwitchToSignup }) => {
     }
   };
 
+  if (challengeToken || mfaPending) {
+    return (
+      <TwoFactorForm
+        challengeToken={challengeToken}
+        onSuccess={onSuccess}
+        onCancel={() => {
+          setChallengeToken(null);
+          setMfaPending(false);
+          setFormData(prev => ({ ...prev, password: '' }));
+        }}
+      />
+    );
+  }
+
   return (
     <div className="w-full max-w-md mx-auto">
       <form onSubmit={handleSubmit} className="space-y-4">
+        {notice && (
+          <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {notice}
+          </div>
+        )}
+
         <div>
           <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
             Email
@@ -104,20 +154,32 @@ const LoginForm = ({ onSuccess, onSwitchToSignup }) => {
           {errors.password && (
             <p className="mt-1 text-sm text-red-600">{errors.password}</p>
           )}
+          <div className="mt-1 text-right">
+            <button
+              type="button"
+              onClick={onForgotPassword}
+              className="text-sm text-blue-600 hover:text-blue-500"
+            >
+              Forgot password?
+            </button>
+          </div>
         </div>
 
         {errors.general && (
           <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded">
             {errors.general}
+            {lockedUntil && (
+              <p className="mt-1 text-sm">Try again in {remainingTime}.</p>
+            )}
           </div>
         )}
 
         <Button
           type="submit"
-          disabled={loading}
+          disabled={loading || !!lockedUntil}
           className="w-full"
         >
-          {loading ? 'Signing in...' : 'Sign In'}
+          {loading ? 'Signing in...' : lockedUntil ? `Locked (${remainingTime})` : 'Sign In'}
         </Button>
       </form>
 
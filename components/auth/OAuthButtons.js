@@ -0,0 +1,34 @@
+'use client';
+
+import React from 'react';
+import { buttonVariants } from '@/components/ui/button';
+
+const PROVIDERS = [
+  { id: 'github', label: 'GitHub' },
+  { id: 'google', label: 'Google' }
+];
+
+// Full-page links into the OAuth flow; the callback lands back on the site signed in
+const OAuthButtons = () => {
+  return (
+    <div className="space-y-2">
+      {PROVIDERS.map(provider => (
+        <a
+          key={provider.id}
+          href={`/api/auth/oauth/${provider.id}`}
+          className={buttonVariants({ variant: "outline", className: "w-full" })}
+        >
+          Continue with {provider.label}
+        </a>
+      ))}
+
+      <div className="flex items-center gap-2 py-2 text-xs text-gray-500 dark:text-gray-400">
+        <div className="flex-1 border-t" />
+        or
+        <div className="flex-1 border-t" />
+      </div>
+    </div>
+  );
+};
+
+export default OAuthButtons;
@@ -0,0 +1,122 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+
+// Second step of login for accounts with two-factor authentication
+const TwoFactorForm = ({ challengeToken, onSuccess, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const { verifyTwoFactor } = useAuth();
+
+  const handleChange = (e) => {
+    setCode(e.target.value);
+    // Clear error when user starts typing
+    if (errors.code) {
+      setErrors({});
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!code.trim()) {
+      newErrors.code = 'Code is required';
+    } else if (!useRecoveryCode && !/^\d{6}$/.test(code.replace(/\s+/g, ''))) {
+      newErrors.code = 'Enter the 6-digit code from your authenticator app';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, code.trim());
+
+      if (result.success) {
+        onSuccess && onSuccess();
+      } else {
+        setErrors({ general: result.message });
+      }
+    } catch (error) {
+      setErrors({ general: 'An unexpected error occurred' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-md mx-auto">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+          </label>
+          <input
+            type="text"
+            id="code"
+            name="code"
+            value={code}
+            onChange={handleChange}
+            autoFocus
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            maxLength={useRecoveryCode ? 11 : 6}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white tracking-widest"
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          />
+          {errors.code && (
+            <p className="mt-1 text-sm text-red-600">{errors.code}</p>
+          )}
+        </div>
+
+        {errors.general && (
+          <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {errors.general}
+          </div>
+        )}
+
+        <Button
+          type="submit"
+          disabled={loading}
+          className="w-full"
+        >
+          {loading ? 'Verifying...' : 'Verify'}
+        </Button>
+      </form>
+
+      <div className="mt-4 flex justify-between text-sm">
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+            setErrors({});
+          }}
+          className="text-blue-600 hover:text-blue-500 font-medium"
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-gray-600 hover:text-gray-500 dark:text-gray-400"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorForm;
@@ -0,0 +1,55 @@
+'use client';
+
+import React from 'react';
+import { cn } from '@/lib/utils';
+
+// Pick the smallest uploaded size that still looks sharp on high-density screens
+const pickSource = (user, size) => {
+  const sizes = Object.entries(user.avatarSizes || {})
+    .map(([width, url]) => [Number(width), url])
+    .sort((a, b) => a[0] - b[0]);
+  const match = sizes.find(([width]) => width >= size * 2) || sizes[sizes.length - 1];
+  return match ? match[1] : user.avatar;
+};
+
+const initials = (name = '') => {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+};
+
+// The user's avatar, falling back to their initials when they haven't set one
+const UserAvatar = ({ user, size = 32, className }) => {
+  if (!user) return null;
+
+  const src = pickSource(user, size);
+  const style = { width: size, height: size };
+
+  if (src) {
+    return (
+      <img
+        src={src}
+        alt={user.name}
+        width={size}
+        height={size}
+        style={style}
+        className={cn('rounded-full object-cover', className)}
+      />
+    );
+  }
+
+  return (
+    <span
+      style={style}
+      aria-hidden="true"
+      className={cn('inline-flex items-center justify-center rounded-full bg-purple-600 text-white text-xs font-semibold', className)}
+    >
+      {initials(user.name)}
+    </span>
+  );
+};
+
+export default UserAvatar;
@@ -0,0 +1,72 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import { buttonVariants } from '@/components/ui/button';
+
+const VerifyEmail = ({ token }) => {
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  const { getCurrentUser } = useAuth();
+  // React strict mode runs effects twice; the token is single-use
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    const confirm = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email/confirm', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+
+        setStatus(data.success ? 'success' : 'error');
+        setMessage(data.message);
+
+        // Refresh the cached user so the reminder banner goes away
+        if (data.success) {
+          getCurrentUser();
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage('Network error. Please try again.');
+      }
+    };
+
+    confirm();
+  }, [token, getCurrentUser]);
+
+  return (
+    <div className="space-y-6">
+      {status === 'verifying' && (
+        <p className="text-lg text-gray-700 dark:text-gray-300">Verifying your email...</p>
+      )}
+
+      {status === 'success' && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+          {message}
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {message}
+        </div>
+      )}
+
+      {status !== 'verifying' && (
+        <Link href="/" className={buttonVariants({ variant: "outline" })}>Back to home</Link>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
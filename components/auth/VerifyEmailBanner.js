@@ -0,0 +1,53 @@
+'use client';
+
+import React, { useState } from 'react';
+import { usePathname } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+
+// Reminds signed-in users who haven't verified their email yet
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const pathname = usePathname();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!isAuthenticated || user?.isVerified || pathname === '/verify-email') {
+    return null;
+  }
+
+  const resend = async () => {
+    setSending(true);
+
+    try {
+      const response = await fetch('/api/auth/verify-email/send', { method: 'POST' });
+      const data = await response.json();
+      setMessage(data.message);
+    } catch (error) {
+      setMessage('Network error. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100 text-sm">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center justify-center gap-2">
+        <span>
+          {message || `Please verify your email address (${user.email}) to secure your account.`}
+        </span>
+        {!message && (
+          <button
+            type="button"
+            onClick={resend}
+            disabled={sending}
+            className="font-medium underline disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend verification email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,78 @@
+import React from 'react';
+import fs from 'fs';
+import path from 'path';
+import { SITE_NAME } from '@/lib/site';
+
+export const SHARE_CARD_SIZE = { width: 1200, height: 630 };
+
+// The logo inlined as a data URL, read once per server process
+let logoDataUrl;
+const getLogo = () => {
+  if (!logoDataUrl) {
+    const logo = fs.readFileSync(path.join(process.cwd(), 'public', 'logo.jpg'));
+    logoDataUrl = `data:image/jpeg;base64,${logo.toString('base64')}`;
+  }
+  return logoDataUrl;
+};
+
+// Branded 1200x630 card for social previews, rendered by next/og. That
+// renderer only understands flexbox and inline styles, not Tailwind classes.
+const ShareCard = ({ eyebrow, title, meta, tags = [] }) => {
+  return (
+    <div
+      style={{
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'space-between',
+        padding: 72,
+        background: 'linear-gradient(135deg, #0f172a 0%, #1e3a8a 100%)',
+        color: '#f8fafc'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 24 }}>
+        <img src={getLogo()} width={72} height={72} alt="" style={{ borderRadius: 36 }} />
+        <span style={{ fontSize: 36, fontWeight: 700 }}>{SITE_NAME}</span>
+        {eyebrow && (
+          <span style={{ marginLeft: 'auto', fontSize: 28, color: '#93c5fd' }}>{eyebrow}</span>
+        )}
+      </div>
+
+      <div
+        style={{
+          display: 'flex',
+          fontSize: title.length > 60 ? 56 : 72,
+          fontWeight: 700,
+          lineHeight: 1.15
+        }}
+      >
+        {title}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+        {meta && <span style={{ fontSize: 30, color: '#cbd5e1' }}>{meta}</span>}
+        {tags.length > 0 && (
+          <div style={{ display: 'flex', gap: 12 }}>
+            {tags.slice(0, 4).map(tag => (
+              <span
+                key={tag}
+                style={{
+                  fontSize: 24,
+                  padding: '6px 18px',
+                  borderRadius: 999,
+                  border: '2px solid #60a5fa',
+                  color: '#bfdbfe'
+                }}
+              >
+                #{tag}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareCard;
@@ -9,7 +9,7 @@ const OnThisPage = ({ htmlContent }) => {
     // Parse the HTML content and extract h2 headings
     const tempDiv = document.createElement('div');
     tempDiv.innerHTML = htmlContent;
-    const h2Elements = tempDiv.querySelectorAll('h2');
+    const h2Elements = tempDiv.querySelectorAll('h2:not(#footnote-label)');
     const h2Data = Array.from(h2Elements).map(h2 => ({
       text: h2.textContent,
       id: h2.id
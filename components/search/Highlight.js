@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Render the { text, highlight } parts returned by the search API
+const Highlight = ({ parts }) => {
+  return (
+    <>
+      {parts.map((part, index) => part.highlight ? (
+        <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 dark:text-white rounded px-0.5">{part.text}</mark>
+      ) : (
+        <React.Fragment key={index}>{part.text}</React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default Highlight;
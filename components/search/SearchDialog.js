@@ -0,0 +1,123 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import SearchResults from './SearchResults';
+
+// Quick search over all posts, opened from the navbar or with Ctrl+K / Cmd+K
+const SearchDialog = ({ isOpen, onOpen, onClose }) => {
+  const router = useRouter();
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [loading, setLoading] = useState(false);
+
+  // Global shortcut
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        onOpen();
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onOpen]);
+
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus();
+    } else {
+      setQuery('');
+      setResults([]);
+    }
+  }, [isOpen]);
+
+  // Search as the reader types, once they pause
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResults([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(q)}&limit=8`, { signal: controller.signal });
+        const data = await response.json();
+        setResults(data.success ? data.results : []);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (error.name !== 'AbortError') setResults([]);
+      } finally {
+        setLoading(false);
+      }
+    }, 200);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  if (!isOpen) return null;
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, -1));
+    } else if (e.key === 'Enter' && query.trim()) {
+      e.preventDefault();
+      router.push(activeIndex >= 0
+        ? `/blogpost/${results[activeIndex].slug}`
+        : `/search?q=${encodeURIComponent(query.trim())}`);
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 p-4 pt-24"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search posts"
+        className="bg-white dark:bg-gray-900 rounded-lg shadow-xl max-w-xl w-full max-h-[70vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-3 border-b flex items-center gap-2">
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={onKeyDown}
+            className="w-full px-3 py-2 bg-transparent focus:outline-none"
+            placeholder="Search posts..."
+          />
+          <kbd className="text-xs text-gray-500 border rounded px-1.5 py-0.5">Esc</kbd>
+        </div>
+
+        <div className="overflow-y-auto p-2">
+          {query.trim() && !loading && !results.length && (
+            <p className="p-3 text-sm text-gray-500">No posts match “{query.trim()}”.</p>
+          )}
+          <SearchResults results={results} activeIndex={activeIndex} onNavigate={onClose} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchDialog;
@@ -0,0 +1,25 @@
+import React from 'react';
+import Link from 'next/link';
+import Highlight from './Highlight';
+
+// A list of search results with highlighted titles and snippets
+const SearchResults = ({ results, onNavigate, activeIndex = -1 }) => {
+  return (
+    <ul className="divide-y">
+      {results.map((result, index) => (
+        <li key={result.slug}>
+          <Link
+            href={`/blogpost/${result.slug}`}
+            onClick={onNavigate}
+            className={`block p-3 rounded hover:bg-gray-100 dark:hover:bg-gray-800 ${index === activeIndex ? 'bg-gray-100 dark:bg-gray-800' : ''}`}
+          >
+            <p className="font-semibold"><Highlight parts={result.title} /></p>
+            <p className="text-sm text-gray-600 dark:text-gray-300 mt-1"><Highlight parts={result.snippet} /></p>
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SearchResults;
@@ -4,6 +4,9 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 
 const AuthContext = createContext();
 
+// How long before the access token expires to rotate it
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,21 +18,31 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(null);
+  const [accessTokenExpiresAt, setAccessTokenExpiresAt] = useState(null);
 
-  // Load user from localStorage on mount
+  // Restore the session from the httpOnly auth cookie on mount
   useEffect(() => {
-    const savedToken = localStorage.getItem('token');
-    const savedUser = localStorage.getItem('user');
-    
-    if (savedToken && savedUser) {
-      setToken(savedToken);
-      setUser(JSON.parse(savedUser));
-    }
-    
-    setLoading(false);
+    // Tokens used to live in localStorage; drop any leftovers
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+
+    getCurrentUser().finally(() => setLoading(false));
   }, []);
 
+  // Refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!user || !accessTokenExpiresAt) return;
+
+    const delay = new Date(accessTokenExpiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS;
+    const timer = setTimeout(async () => {
+      if (!(await refreshSession())) {
+        setUser(null);
+      }
+    }, Math.max(delay, 0));
+
+    return () => clearTimeout(timer);
+  }, [user, accessTokenExpiresAt]);
+
   // Login function
   const login = async (email, password) => {
     try {
@@ -43,14 +56,17 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
+      // The account has 2FA: the caller must finish with verifyTwoFactor()
+      if (data.success && data.mfaRequired) {
+        return { success: false, mfaRequired: true, challengeToken: data.challengeToken, message: data.message };
+      }
+
       if (data.success) {
         setUser(data.user);
-        setToken(data.token);
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+        setAccessTokenExpiresAt(data.accessTokenExpiresAt);
         return { success: true, message: data.message };
       } else {
-        return { success: false, message: data.message };
+        return { success: false, message: data.message, retryAfter: data.retryAfter };
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -58,6 +74,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step for accounts with two-factor authentication
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await fetch('/api/auth/2fa/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken, code }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setUser(data.user);
+        setAccessTokenExpiresAt(data.accessTokenExpiresAt);
+        return { success: true, message: data.message };
+      } else {
+        return { success: false, message: data.message, retryAfter: data.retryAfter };
+      }
+    } catch (error) {
+      console.error('Two-factor verify error:', error);
+      return { success: false, message: 'Network error. Please try again.' };
+    }
+  };
+
   // Signup function
   const signup = async (name, email, password) => {
     try {
@@ -73,12 +115,10 @@ export const AuthProvider = ({ children }) => {
 
       if (data.success) {
         setUser(data.user);
-        setToken(data.token);
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+        setAccessTokenExpiresAt(data.accessTokenExpiresAt);
         return { success: true, message: data.message };
       } else {
-        return { success: false, message: data.message };
+        return { success: false, message: data.message, retryAfter: data.retryAfter };
       }
     } catch (error) {
       console.error('Signup error:', error);
@@ -87,50 +127,95 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout function
-  const logout = () => {
+  const logout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     setUser(null);
-    setToken(null);
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    setAccessTokenExpiresAt(null);
   };
 
-  // Get current user from server
-  const getCurrentUser = async () => {
-    if (!token) return null;
-    
+  // Rotate the refresh token and get a new access token
+  const refreshSession = async () => {
     try {
-      const response = await fetch('/api/auth/me', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-      });
+      const response = await fetch('/api/auth/refresh', { method: 'POST' });
 
       const data = await response.json();
 
       if (data.success) {
-        setUser(data.user);
-        localStorage.setItem('user', JSON.stringify(data.user));
-        return data.user;
-      } else {
-        // Token might be expired
-        logout();
-        return null;
+        setAccessTokenExpiresAt(data.accessTokenExpiresAt);
+        return true;
+      }
+
+      // Another tab already rotated the token; its new cookies are ours too
+      if (response.status === 409) {
+        return !!(await fetchCurrentUser());
       }
+
+      return false;
+    } catch (error) {
+      console.error('Refresh session error:', error);
+      return false;
+    }
+  };
+
+  // Fetch the user for the current access token cookie
+  const fetchCurrentUser = async () => {
+    const response = await fetch('/api/auth/me');
+
+    const data = await response.json();
+
+    if (data.success) {
+      setUser(data.user);
+      setAccessTokenExpiresAt(data.accessTokenExpiresAt);
+      return data.user;
+    }
+    return null;
+  };
+
+  // Get current user from server, refreshing the access token once if it has expired
+  const getCurrentUser = async () => {
+    try {
+      const currentUser = await fetchCurrentUser();
+      if (currentUser) {
+        return currentUser;
+      }
+
+      if (await refreshSession()) {
+        const refreshedUser = await fetchCurrentUser();
+        if (refreshedUser) {
+          return refreshedUser;
+        }
+      }
+
+      // No session or it has been revoked
+      setUser(null);
+      setAccessTokenExpiresAt(null);
+      return null;
     } catch (error) {
       console.error('Get current user error:', error);
-      logout();
+      setUser(null);
       return null;
     }
   };
 
+  // Merge fresh fields (e.g. from a profile update) into the cached user
+  const updateUser = (updates) => {
+    setUser(prev => (prev ? { ...prev, ...updates } : prev));
+  };
+
   const value = {
     user,
-    token,
     loading,
     login,
+    verifyTwoFactor,
     signup,
     logout,
     getCurrentUser,
+    updateUser,
+    refreshSession,
     isAuthenticated: !!user,
   };
 
@@ -0,0 +1,114 @@
+import AuthEvent from '@/models/AuthEvent';
+import Session from '@/models/Session';
+import User from '@/models/User';
+import VerificationToken from '@/models/VerificationToken';
+import { recordAuthEvent } from '@/lib/audit';
+import { deleteAvatarFiles } from '@/lib/avatar';
+import { revokeUserSessions } from '@/lib/session';
+
+// Days between a deletion request and the hard delete, during which signing in cancels it
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+// Permanently remove a user together with their sessions, pending tokens and
+// uploaded files, and record the deletion. `actor` is the admin who deleted
+// the account, or null for the scheduled purge.
+// Content the user authored is anonymised rather than deleted. Posts are
+// Markdown files in content/ and carry a free-text author, so nothing in the
+// database belongs to a user yet; comments or bookmarks would be reassigned here.
+// Auth events stay as the security record, stripped of the user id, email, IP
+// and user agent; the deletion event itself names no one but the actor.
+export const deleteUserAccount = async (user, request, { actor = null, metadata = {} } = {}) => {
+  const emails = [user.email, ...user.accounts.map(account => account.email)].filter(Boolean);
+
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    VerificationToken.deleteMany({ user: user._id })
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+  await AuthEvent.anonymiseUser(user._id, emails);
+  await deleteAvatarFiles(user.avatarKey);
+
+  await recordAuthEvent('account.delete', request, { actor, metadata });
+};
+
+// Sign the user out everywhere and schedule their account for deletion
+export const scheduleAccountDeletion = async (user, request) => {
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledAt = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await revokeUserSessions(user._id);
+  await recordAuthEvent('account.deletion-scheduled', request, {
+    user,
+    metadata: { scheduledFor: user.deletionScheduledAt }
+  });
+};
+
+// Called when a user with a pending deletion signs in again
+export const cancelAccountDeletion = async (user, request) => {
+  if (!user.deletionScheduledAt) return;
+
+  user.deletionRequestedAt = null;
+  user.deletionScheduledAt = null;
+  await user.save();
+
+  await recordAuthEvent('account.deletion-cancelled', request, { user });
+};
+
+// Hard delete every account whose grace period has run out. Returns how many were deleted.
+export const purgeScheduledDeletions = async (request) => {
+  const users = await User.find({ deletionScheduledAt: { $lte: new Date() } });
+
+  for (const user of users) {
+    await deleteUserAccount(user, request, { metadata: { scheduled: true } });
+  }
+
+  return users.length;
+};
+
+// Everything stored about a user, for a personal data export
+export const exportUserData = async (user) => {
+  const [sessions, events] = await Promise.all([
+    Session.find({ user: user._id }).sort({ createdAt: -1 }),
+    AuthEvent.find({ user: user._id }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      ...user.toPublicJSON(),
+      updatedAt: user.updatedAt,
+      deletionScheduledAt: user.deletionScheduledAt
+    },
+    linkedAccounts: user.accounts.map(account => ({
+      provider: account.provider,
+      email: account.email,
+      linkedAt: account.linkedAt
+    })),
+    sessions: sessions.map(session => ({
+      userAgent: session.userAgent,
+      ip: session.ip,
+      location: session.location,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt,
+      revokedReason: session.revokedReason
+    })),
+    // The device details of admin actions belong to the admin, not this user
+    securityEvents: events.map(event => {
+      const byAdmin = !!event.actor && !event.actor.equals(user._id);
+
+      return {
+        type: event.type,
+        byAdmin,
+        ip: byAdmin ? undefined : event.ip,
+        userAgent: byAdmin ? undefined : event.userAgent,
+        metadata: event.metadata,
+        createdAt: event.createdAt
+      };
+    })
+  };
+};
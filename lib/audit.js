@@ -0,0 +1,38 @@
+import AuthEvent from '@/models/AuthEvent';
+import { getClientIp, getUserAgent } from '@/lib/request';
+
+// Record an authentication event. `user` is the account it concerns and
+// `actor` whoever caused it (defaults to the user). Auditing must never break
+// the request it describes, so failures are only logged.
+export const recordAuthEvent = async (type, request, { user = null, actor, email, metadata = {} } = {}) => {
+  try {
+    await AuthEvent.create({
+      type,
+      user: user?._id || user,
+      actor: actor === undefined ? (user?._id || user) : (actor?._id || actor),
+      email: email || user?.email,
+      ip: request ? getClientIp(request) : undefined,
+      userAgent: request ? getUserAgent(request) : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Shape of an event in API responses, with user and actor populated
+export const serializeAuthEvent = (event) => {
+  return {
+    id: event._id,
+    type: event.type,
+    user: event.user?._id || event.user,
+    userEmail: event.user?.email || event.email,
+    actor: event.actor?._id || event.actor,
+    actorEmail: event.actor?.email || null,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    metadata: event.metadata,
+    anonymised: !!event.anonymisedAt,
+    createdAt: event.createdAt
+  };
+};
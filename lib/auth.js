@@ -0,0 +1,87 @@
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import dbConnect from '@/lib/mongodb';
+import { verifyToken, getTokenFromRequest, AUTH_COOKIE_NAME } from '@/lib/jwt';
+import { hasPermissions } from '@/lib/permissions';
+import { isSessionActive } from '@/lib/session';
+
+/**
+ * Resolve the signed-in reader inside a server component or server action.
+ * Returns the decoded token payload ({ userId, email, name, role, sessionId })
+ * or null for anonymous readers and revoked sessions, checked the same way as
+ * withAuth. Reading cookies opts the calling route into dynamic rendering, so
+ * only call this where per-reader output is needed.
+ */
+export async function getServerUser() {
+  const token = cookies().get(AUTH_COOKIE_NAME)?.value;
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = verifyToken(token);
+    await dbConnect();
+    return (await isSessionActive(decoded.sessionId)) ? decoded : null;
+  } catch (error) {
+    if (error.message !== 'Invalid token') {
+      console.error('Auth error:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Wrap an App Router route handler so it only runs for a signed-in user whose
+ * session is still active and who has one of `roles` (if given) and all of
+ * `permissions` (if given). The decoded token is passed to the handler as
+ * `context.auth`:
+ *
+ *   export const GET = withAuth({ permissions: ['users:manage'] })(
+ *     async (request, { auth }) => { ... }
+ *   );
+ */
+export function withAuth({ roles, permissions } = {}) {
+  return (handler) => async (request, context = {}) => {
+    const token = getTokenFromRequest(request);
+    if (!token) {
+      return NextResponse.json(
+        { success: false, message: 'Access denied. No token provided.' },
+        { status: 401 }
+      );
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+      await dbConnect();
+      if (!(await isSessionActive(decoded.sessionId))) {
+        return NextResponse.json(
+          { success: false, message: 'Session has been revoked' },
+          { status: 401 }
+        );
+      }
+    } catch (error) {
+      if (error.message === 'Invalid token') {
+        return NextResponse.json(
+          { success: false, message: 'Invalid token' },
+          { status: 401 }
+        );
+      }
+
+      console.error('Auth error:', error);
+      return NextResponse.json(
+        { success: false, message: 'Internal server error' },
+        { status: 500 }
+      );
+    }
+
+    if ((roles && !roles.includes(decoded.role)) || !hasPermissions(decoded.role, permissions)) {
+      return NextResponse.json(
+        { success: false, message: 'You do not have permission to perform this action' },
+        { status: 403 }
+      );
+    }
+
+    return handler(request, { ...context, auth: decoded });
+  };
+}
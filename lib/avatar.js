@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from '@/lib/storage';
+
+export const AVATAR_SIZES = [64, 128, 256];
+export const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+export const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Storage keys for every size of an uploaded avatar
+const avatarKeys = (prefix) => {
+  return AVATAR_SIZES.map(size => ({ size, key: `${prefix}-${size}.webp` }));
+};
+
+// Crop an uploaded image to a centred square and render each avatar size as WebP.
+// Throws 'Invalid image' if the bytes aren't an image sharp can decode.
+export const processAvatar = async (buffer) => {
+  try {
+    await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error('Invalid image');
+  }
+
+  return Promise.all(
+    AVATAR_SIZES.map(async size => ({
+      size,
+      body: await sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .webp({ quality: 85 })
+        .toBuffer()
+    }))
+  );
+};
+
+// Delete the stored files for an avatar key. Left-over files are harmless, so
+// storage errors are logged rather than failing a change that already saved.
+export const deleteAvatarFiles = async (avatarKey) => {
+  if (!avatarKey) return;
+
+  const storage = getStorage();
+  const results = await Promise.allSettled(avatarKeys(avatarKey).map(({ key }) => storage.remove(key)));
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error('Avatar cleanup error:', result.reason);
+    }
+  }
+};
+
+// Unlink the user's uploaded avatar without touching storage. Returns the old
+// key, whose files should only be deleted once the user has been saved.
+export const detachAvatar = (user) => {
+  const avatarKey = user.avatarKey;
+  user.avatarKey = undefined;
+  user.avatarSizes = undefined;
+  return avatarKey;
+};
+
+// Process and store a new avatar and save the user. The previous upload's files
+// are deleted only after the save succeeds; if it fails, the new files are.
+export const saveAvatar = async (user, buffer) => {
+  const images = await processAvatar(buffer);
+  const storage = getStorage();
+  // A fresh name per upload so browsers and CDNs never serve a stale avatar
+  const prefix = `avatars/${user._id}/${crypto.randomBytes(8).toString('hex')}`;
+
+  const sizes = {};
+  for (const { size, key } of avatarKeys(prefix)) {
+    const { body } = images.find(image => image.size === size);
+    sizes[size] = await storage.put(key, body, { contentType: 'image/webp' });
+  }
+
+  const previousKey = detachAvatar(user);
+  user.avatarKey = prefix;
+  user.avatarSizes = sizes;
+  user.avatar = sizes[AVATAR_SIZES[AVATAR_SIZES.length - 1]];
+
+  try {
+    await user.save();
+  } catch (error) {
+    await deleteAvatarFiles(prefix);
+    throw error;
+  }
+
+  await deleteAvatarFiles(previousKey);
+};
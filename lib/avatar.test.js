@@ -0,0 +1,69 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import sharp from 'sharp';
+import { saveAvatar } from '@/lib/avatar';
+import { setStorage } from '@/lib/storage';
+
+// In-memory storage recording what was written and removed
+const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    put: async (key, body) => {
+      files.set(key, body);
+      return `/uploads/${key}`;
+    },
+    remove: async (key) => {
+      files.delete(key);
+    }
+  };
+};
+
+const fakeUser = (save) => ({
+  _id: 'user1',
+  avatarKey: 'avatars/user1/old',
+  avatarSizes: { 256: '/uploads/avatars/user1/old-256.webp' },
+  avatar: '/uploads/avatars/user1/old-256.webp',
+  save
+});
+
+const image = () => sharp({
+  create: { width: 40, height: 30, channels: 3, background: '#336699' }
+}).png().toBuffer();
+
+describe('saveAvatar', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    for (const size of [64, 128, 256]) {
+      storage.files.set(`avatars/user1/old-${size}.webp`, Buffer.from('old'));
+    }
+    setStorage(storage);
+  });
+
+  it('deletes the previous files only after the user saves', async () => {
+    const user = fakeUser(async () => {
+      expect(storage.files.has('avatars/user1/old-256.webp')).toBe(true);
+    });
+
+    await saveAvatar(user, await image());
+
+    expect(user.avatarKey).not.toBe('avatars/user1/old');
+    expect(user.avatar).toBe(`/uploads/${user.avatarKey}-256.webp`);
+    expect([...storage.files.keys()].sort()).toEqual(
+      [64, 128, 256].map(size => `${user.avatarKey}-${size}.webp`).sort()
+    );
+  });
+
+  it('keeps the previous files and drops the new ones when the save fails', async () => {
+    const user = fakeUser(async () => {
+      throw new Error('ValidationError');
+    });
+
+    await expect(saveAvatar(user, await image())).rejects.toThrow('ValidationError');
+
+    expect([...storage.files.keys()].sort()).toEqual(
+      [64, 128, 256].map(size => `avatars/user1/old-${size}.webp`).sort()
+    );
+  });
+});
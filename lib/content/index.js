@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { renderMarkdown } from '@/lib/markdown';
+import { formatValidationReport, validateFrontmatter } from './schema';
+import { tagSlug } from './tags';
+
+export { tagSlug };
+
+const CONTENT_DIR = path.join(process.cwd(), 'content');
+
+// Parsed posts keyed by file name, with the mtime each was read at and its rendered HTML
+const cache = {
+  files: new Map(),
+  loaded: false
+};
+
+// Parse and validate one post. Returns { post } or { errors }.
+const readPost = (file) => {
+  let parsed;
+  try {
+    parsed = matter(fs.readFileSync(path.join(CONTENT_DIR, file), 'utf-8'));
+  } catch (error) {
+    return { errors: [`frontmatter could not be parsed: ${error.reason || error.message}`] };
+  }
+
+  const { data, errors } = validateFrontmatter(file, parsed.data);
+  if (errors.length) {
+    return { errors };
+  }
+
+  return { post: { ...data, content: parsed.content } };
+};
+
+// Read every post once. In development, re-read files whose mtime changed and
+// pick up added or removed files, so edits show without a restart. Invalid
+// posts are never cached; they throw one report listing every problem, which
+// fails `next build` and shows in the dev error overlay.
+const loadPosts = () => {
+  if (cache.loaded && process.env.NODE_ENV === 'production') {
+    return cache.files;
+  }
+
+  const files = fs.readdirSync(CONTENT_DIR).filter(file => file.endsWith('.md'));
+
+  for (const file of cache.files.keys()) {
+    if (!files.includes(file)) {
+      cache.files.delete(file);
+    }
+  }
+
+  const failures = [];
+  for (const file of files) {
+    const mtimeMs = fs.statSync(path.join(CONTENT_DIR, file)).mtimeMs;
+    if (cache.files.get(file)?.mtimeMs === mtimeMs) {
+      continue;
+    }
+
+    const { post, errors } = readPost(file);
+    if (errors) {
+      cache.files.delete(file);
+      failures.push({ file, errors });
+    } else {
+      cache.files.set(file, { mtimeMs, post, html: null });
+    }
+  }
+
+  if (failures.length) {
+    throw new Error(formatValidationReport(failures));
+  }
+
+  cache.loaded = true;
+  return cache.files;
+};
+
+export const POSTS_PER_PAGE = 6;
+
+// Newest first; posts from the same day by title
+const byDateDesc = (a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title);
+
+// Drafts and scheduled posts are previewable in development only
+const SHOW_UNPUBLISHED = process.env.NODE_ENV !== 'production';
+
+// Whether a post is live: not a draft, and its publishAt (if any) has passed.
+// Pages that list posts revalidate, so scheduled posts appear on their own.
+export const isPublished = (post, now = new Date()) => {
+  if (SHOW_UNPUBLISHED) return true;
+  return !post.draft && (!post.publishAt || new Date(post.publishAt) <= now);
+};
+
+// Posts that can be opened by URL, unlisted ones included, newest first
+export const getPublishedPosts = () => {
+  return Array.from(loadPosts().values(), entry => entry.post)
+    .filter(post => isPublished(post))
+    .sort(byDateDesc);
+};
+
+// Posts for listings, search and feeds, newest first
+export const getAllPosts = () => {
+  return getPublishedPosts().filter(post => !post.unlisted);
+};
+
+// One page of a list of posts (1-based) with the total page count
+export const paginatePosts = (posts, page = 1) => {
+  const pages = Math.max(Math.ceil(posts.length / POSTS_PER_PAGE), 1);
+  return {
+    posts: posts.slice((page - 1) * POSTS_PER_PAGE, page * POSTS_PER_PAGE),
+    page,
+    pages
+  };
+};
+
+// A single published post by slug (unlisted ones included), or null if there
+// isn't one. `includeUnpublished` also finds drafts and scheduled posts, for previews.
+export const getPostBySlug = (slug, { includeUnpublished = false } = {}) => {
+  const post = loadPosts().get(`${slug}.md`)?.post;
+  return post && (includeUnpublished || isPublished(post)) ? post : null;
+};
+
+// Every tag in use as { slug, name, count }, most used first. The name is the
+// spelling of the first post that used the tag.
+export const getAllTags = () => {
+  const tags = new Map();
+
+  for (const post of getAllPosts()) {
+    for (const tag of post.tags) {
+      const slug = tagSlug(tag);
+      if (!slug) continue;
+
+      const entry = tags.get(slug) || { slug, name: tag, count: 0 };
+      entry.count += 1;
+      tags.set(slug, entry);
+    }
+  }
+
+  return Array.from(tags.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Posts carrying a tag, given as a slug or in any spelling
+export const getPostsByTag = (tag) => {
+  const wanted = tagSlug(tag);
+  return getAllPosts().filter(post => post.tags.some(postTag => tagSlug(postTag) === wanted));
+};
+
+// Every author as { slug, name, count }, most prolific first. Author names
+// are slugged the same way as tags.
+export const getAllAuthors = () => {
+  const authors = new Map();
+
+  for (const post of getAllPosts()) {
+    const slug = tagSlug(post.author);
+    const entry = authors.get(slug) || { slug, name: post.author, count: 0 };
+    entry.count += 1;
+    authors.set(slug, entry);
+  }
+
+  return Array.from(authors.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Posts by an author, given as a slug or by name
+export const getPostsByAuthor = (author) => {
+  const wanted = tagSlug(author);
+  return getAllPosts().filter(post => tagSlug(post.author) === wanted);
+};
+
+// Posts grouped for the archive: [{ year, months: [{ month, posts }] }], newest first.
+// `month` is the two-digit month number.
+export const getPostArchive = () => {
+  const years = [];
+
+  for (const post of getAllPosts()) {
+    const [year, month] = post.date.split('-');
+
+    let yearEntry = years[years.length - 1];
+    if (yearEntry?.year !== year) {
+      yearEntry = { year, months: [] };
+      years.push(yearEntry);
+    }
+
+    let monthEntry = yearEntry.months[yearEntry.months.length - 1];
+    if (monthEntry?.month !== month) {
+      monthEntry = { month, posts: [] };
+      yearEntry.months.push(monthEntry);
+    }
+
+    monthEntry.posts.push(post);
+  }
+
+  return years;
+};
+
+// A post's body rendered to HTML, cached until its file changes
+export const getPostHtml = async (post) => {
+  const entry = loadPosts().get(`${post.slug}.md`);
+  if (!entry) {
+    return renderMarkdown(post.content);
+  }
+
+  if (!entry.html) {
+    entry.html = await renderMarkdown(entry.post.content);
+  }
+  return entry.html;
+};
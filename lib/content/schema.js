@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import { tagSlug } from './tags';
+
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+// Older posts were written with day-first dates, e.g. 02/03/2025 for 2 March
+const DAY_FIRST_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+// Build a YYYY-MM-DD string, or null if the parts aren't a real calendar date
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Normalise a frontmatter date to YYYY-MM-DD. YAML turns unquoted ISO dates
+// into Date objects; quoted ones and day-first dates arrive as strings.
+export const normaliseDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const iso = value.trim().match(ISO_DATE);
+  if (iso) {
+    return toIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const dayFirst = value.trim().match(DAY_FIRST_DATE);
+  if (dayFirst) {
+    return toIsoDate(Number(dayFirst[3]), Number(dayFirst[2]), Number(dayFirst[1]));
+  }
+
+  return null;
+};
+
+// Normalise a publish time to a full ISO timestamp. Accepts anything
+// normaliseDate does (taken as midnight UTC) or an ISO date-time with offset.
+export const normaliseDateTime = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value.trim())) {
+    const date = new Date(value.trim());
+    return isNaN(date) ? null : date.toISOString();
+  }
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString();
+  }
+
+  const date = normaliseDate(value);
+  return date ? `${date}T00:00:00.000Z` : null;
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Decode %-escapes in a site path, or null if one is malformed (a stray "%")
+const decodePath = (value) => {
+  try {
+    return decodeURI(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check a post's frontmatter against the schema. Returns the normalised
+// frontmatter and a list of problems; the post is only usable if there are none.
+//
+//   title, description, author  required strings
+//   slug     optional, must match the file name
+//   date     required, ISO or DD/MM/YYYY, normalised to YYYY-MM-DD
+//   updated  optional date, not before `date`
+//   image    required, an http(s) URL or a file in public/
+//   tags     optional list of strings, each with a-z or 0-9 for its URL
+//   draft    optional boolean; drafts only show in development
+//   publishAt  optional date or date-time; hidden until then
+//   unlisted optional boolean; reachable by URL but left out of listings
+//   seoTitle   optional text; replaces the title in <title> and share cards
+//   canonical  optional http(s) URL or site path, for posts first published elsewhere
+//   noindex    optional boolean; asks search engines not to index the post
+export const validateFrontmatter = (file, data) => {
+  const errors = [];
+  const fileSlug = file.replace(/\.md$/, '');
+
+  for (const field of ['title', 'description', 'author']) {
+    if (!isNonEmptyString(data[field])) {
+      errors.push(`"${field}" is required and must be text`);
+    }
+  }
+
+  if (data.slug !== undefined && data.slug !== fileSlug) {
+    errors.push(`"slug" is "${data.slug}" but the file name gives "${fileSlug}"; rename one to match`);
+  }
+
+  const date = normaliseDate(data.date);
+  if (!date) {
+    errors.push(data.date === undefined
+      ? '"date" is required'
+      : `"date" is "${data.date}"; use YYYY-MM-DD`);
+  }
+
+  let updated;
+  if (data.updated !== undefined) {
+    updated = normaliseDate(data.updated);
+    if (!updated) {
+      errors.push(`"updated" is "${data.updated}"; use YYYY-MM-DD`);
+    } else if (date && updated < date) {
+      errors.push(`"updated" (${updated}) is before "date" (${date})`);
+    }
+  }
+
+  if (!isNonEmptyString(data.image)) {
+    errors.push('"image" is required');
+  } else if (data.image.startsWith('/')) {
+    const imagePath = decodePath(data.image.split(/[?#]/)[0]);
+    if (imagePath === null) {
+      errors.push(`"image" is "${data.image}", which has a malformed %-escape`);
+    } else if (!fs.existsSync(path.join(PUBLIC_DIR, imagePath))) {
+      errors.push(`"image" points to ${data.image}, which is not in public/`);
+    }
+  } else if (!/^https?:\/\//.test(data.image)) {
+    errors.push(`"image" must be an http(s) URL or a path under public/, got "${data.image}"`);
+  }
+
+  const tags = data.tags === undefined ? [] : data.tags;
+  if (!Array.isArray(tags) || !tags.every(isNonEmptyString)) {
+    errors.push('"tags" must be a list of text values');
+  } else {
+    // Tag pages live at /tags/<slug>, and the slug keeps only a-z and 0-9
+    for (const tag of tags.filter(tag => !tagSlug(tag))) {
+      errors.push(`tag "${tag}" has no letters a-z or digits to build its URL from`);
+    }
+  }
+
+  if (data.seoTitle !== undefined && !isNonEmptyString(data.seoTitle)) {
+    errors.push('"seoTitle" must be text');
+  }
+
+  if (data.canonical !== undefined && !(isNonEmptyString(data.canonical) && /^(https?:\/\/|\/)/.test(data.canonical))) {
+    errors.push(`"canonical" must be an http(s) URL or a path starting with /, got "${data.canonical}"`);
+  }
+
+  for (const field of ['draft', 'unlisted', 'noindex']) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      errors.push(`"${field}" must be true or false`);
+    }
+  }
+
+  let publishAt;
+  if (data.publishAt !== undefined) {
+    publishAt = normaliseDateTime(data.publishAt);
+    if (!publishAt) {
+      errors.push(`"publishAt" is "${data.publishAt}"; use YYYY-MM-DD or an ISO date-time like 2025-03-02T09:00:00Z`);
+    }
+  }
+
+  return {
+    errors,
+    data: {
+      ...data,
+      slug: fileSlug,
+      date,
+      updated,
+      tags: Array.isArray(tags) ? tags.map(tag => String(tag).trim()) : [],
+      draft: data.draft === true,
+      unlisted: data.unlisted === true,
+      noindex: data.noindex === true,
+      publishAt
+    }
+  };
+};
+
+// One readable report covering every invalid file
+export const formatValidationReport = (failures) => {
+  const lines = failures.map(({ file, errors }) => {
+    return [`  content/${file}`, ...errors.map(error => `    - ${error}`)].join('\n');
+  });
+  return `Invalid frontmatter in ${failures.length} post${failures.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+};
@@ -0,0 +1,13 @@
+// URL slug for a tag, so "Web Development", "web  development" and
+// "web-development" all land on /tags/web-development. Kept apart from
+// lib/content/index.js so client components can import it without fs.
+export const tagSlug = (tag) => {
+  return String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/\+/g, ' plus ')
+    .replace(/#/g, ' sharp ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
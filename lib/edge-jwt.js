@@ -0,0 +1,53 @@
+// Minimal HS256 JWT verification using Web Crypto, for middleware.js which
+// runs on the Edge runtime where jsonwebtoken (Node crypto) isn't available.
+// Route handlers should keep using verifyToken from lib/jwt.js.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+
+const base64UrlDecode = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+let keyPromise = null;
+
+const getKey = () => {
+  if (!keyPromise) {
+    keyPromise = crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(JWT_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+  }
+  return keyPromise;
+};
+
+// Decoded payload of a valid, unexpired access token, or null
+export const verifyTokenEdge = async (token) => {
+  try {
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const { alg } = JSON.parse(new TextDecoder().decode(base64UrlDecode(header)));
+    if (alg !== 'HS256') return null;
+
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getKey(),
+      base64UrlDecode(signature),
+      new TextEncoder().encode(`${header}.${payload}`)
+    );
+    if (!valid) return null;
+
+    const decoded = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    // Same rules as verifyToken: unexpired and not a special-purpose token
+    if (decoded.aud || (decoded.exp && decoded.exp * 1000 <= Date.now())) return null;
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
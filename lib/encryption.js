@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+
+// 32-byte key for secrets stored at rest. Falls back to a key derived from
+// JWT_SECRET so development works without extra configuration.
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key')
+  .digest();
+
+// Encrypt a string with AES-256-GCM, returning "iv:authTag:ciphertext" in base64
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+// Decrypt a value produced by encrypt()
+export const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
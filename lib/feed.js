@@ -0,0 +1,131 @@
+import { getPostHtml } from '@/lib/content';
+import { SITE_AUTHOR, SITE_DESCRIPTION, SITE_NAME, SITE_URL, absoluteUrl, postUrl } from '@/lib/site';
+
+// Posts per feed; readers only need the recent ones
+const FEED_LIMIT = 20;
+
+const escapeXml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Wrap HTML for an XML element, splitting any "]]>" that would end the section early
+const cdata = (value) => `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Post HTML as feed readers need it: under the cover image, with root-relative
+// and heading links made absolute since readers show it away from the site
+const feedContent = async (post) => {
+  const body = await getPostHtml(post);
+  const cover = `<p><img src="${escapeXml(post.image)}" alt="${escapeXml(post.title)}" /></p>`;
+  return (cover + body)
+    .replace(/\b(href|src)="(\/[^/"][^"]*|\/)"/g, (_, attribute, path) => `${attribute}="${absoluteUrl(path)}"`)
+    .replace(/\bhref="(#[^"]*)"/g, (_, hash) => `href="${postUrl(post)}${hash}"`);
+};
+
+const published = (post) => new Date(post.publishAt || post.date);
+const updated = (post) => new Date(post.updated || post.publishAt || post.date);
+
+// Feed-wide details; tag feeds pass their own title, page and feed URLs
+export const siteFeed = {
+  title: SITE_NAME,
+  description: SITE_DESCRIPTION,
+  link: SITE_URL,
+  rssUrl: absoluteUrl('/feed.xml'),
+  atomUrl: absoluteUrl('/atom.xml'),
+  jsonUrl: absoluteUrl('/feed.json')
+};
+
+const withContent = async (posts) => {
+  return Promise.all(posts.slice(0, FEED_LIMIT).map(async post => ({ post, html: await feedContent(post) })));
+};
+
+// RSS 2.0
+export const buildRss = async (posts, feed = siteFeed) => {
+  const items = (await withContent(posts)).map(({ post, html }) => `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(postUrl(post))}</link>
+      <guid isPermaLink="true">${escapeXml(postUrl(post))}</guid>
+      <pubDate>${published(post).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(post.author)}</dc:creator>
+      <description>${escapeXml(post.description)}</description>
+      ${post.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join('')}
+      <content:encoded>${cdata(html)}</content:encoded>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(feed.rssUrl)}" rel="self" type="application/rss+xml" />
+    ${posts.length ? `<lastBuildDate>${updated(posts[0]).toUTCString()}</lastBuildDate>` : ''}${items}
+  </channel>
+</rss>
+`;
+};
+
+// Atom 1.0
+export const buildAtom = async (posts, feed = siteFeed) => {
+  const entries = (await withContent(posts)).map(({ post, html }) => `
+  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link href="${escapeXml(postUrl(post))}" />
+    <id>${escapeXml(postUrl(post))}</id>
+    <published>${published(post).toISOString()}</published>
+    <updated>${updated(post).toISOString()}</updated>
+    <author><name>${escapeXml(post.author)}</name></author>
+    <summary>${escapeXml(post.description)}</summary>
+    ${post.tags.map(tag => `<category term="${escapeXml(tag)}" />`).join('')}
+    <content type="html">${escapeXml(html)}</content>
+  </entry>`).join('');
+
+  const feedUpdated = posts.length
+    ? new Date(Math.max(...posts.map(post => updated(post).getTime())))
+    : new Date(0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.link)}" />
+  <link href="${escapeXml(feed.atomUrl)}" rel="self" type="application/atom+xml" />
+  <id>${escapeXml(feed.link)}/</id>
+  <updated>${feedUpdated.toISOString()}</updated>
+  <author><name>${escapeXml(SITE_AUTHOR)}</name></author>${entries}
+</feed>
+`;
+};
+
+// JSON Feed 1.1
+export const buildJsonFeed = async (posts, feed = siteFeed) => {
+  const items = (await withContent(posts)).map(({ post, html }) => ({
+    id: postUrl(post),
+    url: postUrl(post),
+    title: post.title,
+    summary: post.description,
+    content_html: html,
+    image: absoluteUrl(post.image),
+    date_published: published(post).toISOString(),
+    date_modified: updated(post).toISOString(),
+    authors: [{ name: post.author }],
+    tags: post.tags
+  }));
+
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.link,
+    feed_url: feed.jsonUrl,
+    language: 'en',
+    authors: [{ name: SITE_AUTHOR }],
+    items
+  };
+};
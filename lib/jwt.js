@@ -1,22 +1,81 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
-// Generate JWT token
+export const AUTH_COOKIE_NAME = 'token';
+export const REFRESH_COOKIE_NAME = 'refresh_token';
+export const MFA_CHALLENGE_COOKIE_NAME = 'mfa_challenge';
+
+// Shared options for the auth cookies so they are never readable from client-side JS
+const authCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+};
+
+// The refresh token is only ever needed by the auth routes
+const refreshCookieOptions = {
+  ...authCookieOptions,
+  path: '/api/auth',
+};
+
+// Generate short-lived JWT access token
 export const generateToken = (payload) => {
   return jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRES_IN,
   });
 };
 
-// Verify JWT token
+// Verify JWT access token. Special-purpose tokens (e.g. MFA challenges) carry an
+// audience and are never accepted here.
 export const verifyToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     throw new Error('Invalid token');
   }
+  if (decoded.aud) {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+// Generate the short-lived challenge returned after a correct password when
+// the account still needs a second factor
+export const generateMfaChallenge = (userId) => {
+  return jwt.sign({ userId }, JWT_SECRET, {
+    audience: 'mfa',
+    expiresIn: '5m',
+  });
+};
+
+// Verify an MFA challenge token
+export const verifyMfaChallenge = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: 'mfa' });
+  } catch (error) {
+    throw new Error('Invalid or expired challenge');
+  }
+};
+
+// Get the expiry of a JWT as a Date
+export const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
+// Generate an opaque random token (refresh tokens, emailed links); only its hash is ever persisted
+export const generateOpaqueToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Hash an opaque token for storage and lookup
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 // Extract token from Authorization header
@@ -27,12 +86,91 @@ export const extractTokenFromHeader = (authHeader) => {
   return authHeader.substring(7);
 };
 
+// Extract token from a route handler request, preferring the Authorization header
+// so API clients keep working, then falling back to the auth cookie
+export const getTokenFromRequest = (request) => {
+  const headerToken = extractTokenFromHeader(request.headers.get('authorization'));
+  if (headerToken) {
+    return headerToken;
+  }
+  return request.cookies.get(AUTH_COOKIE_NAME)?.value || null;
+};
+
+// Extract the refresh token cookie from a route handler request
+export const getRefreshTokenFromRequest = (request) => {
+  return request.cookies.get(REFRESH_COOKIE_NAME)?.value || null;
+};
+
+// Seconds from now until the given date, never negative
+const secondsUntil = (date) => {
+  return Math.max(Math.floor((date.getTime() - Date.now()) / 1000), 0);
+};
+
+// Store the access token on a NextResponse as an httpOnly cookie that expires with the token
+export const setAuthCookie = (response, token) => {
+  response.cookies.set(AUTH_COOKIE_NAME, token, {
+    ...authCookieOptions,
+    maxAge: secondsUntil(getTokenExpiry(token)),
+  });
+  return response;
+};
+
+// Store the refresh token on a NextResponse as an httpOnly cookie scoped to /api/auth
+export const setRefreshCookie = (response, refreshToken, expiresAt) => {
+  response.cookies.set(REFRESH_COOKIE_NAME, refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: secondsUntil(expiresAt),
+  });
+  return response;
+};
+
+// Remove both auth cookies from the browser
+export const clearAuthCookie = (response) => {
+  response.cookies.set(AUTH_COOKIE_NAME, '', {
+    ...authCookieOptions,
+    maxAge: 0,
+  });
+  response.cookies.set(REFRESH_COOKIE_NAME, '', {
+    ...refreshCookieOptions,
+    maxAge: 0,
+  });
+  return response;
+};
+
+// The OAuth callback can only answer with a redirect, so its MFA challenge
+// travels in an httpOnly cookie that only the 2FA verify route receives,
+// rather than in a URL where logs, history and Referer headers would keep it
+const mfaChallengeCookieOptions = {
+  ...authCookieOptions,
+  path: '/api/auth/2fa',
+};
+
+export const setMfaChallengeCookie = (response, challenge) => {
+  response.cookies.set(MFA_CHALLENGE_COOKIE_NAME, challenge, {
+    ...mfaChallengeCookieOptions,
+    maxAge: secondsUntil(getTokenExpiry(challenge)),
+  });
+  return response;
+};
+
+export const getMfaChallengeFromRequest = (request) => {
+  return request.cookies.get(MFA_CHALLENGE_COOKIE_NAME)?.value || null;
+};
+
+export const clearMfaChallengeCookie = (response) => {
+  response.cookies.set(MFA_CHALLENGE_COOKIE_NAME, '', {
+    ...mfaChallengeCookieOptions,
+    maxAge: 0,
+  });
+  return response;
+};
+
 // Middleware to verify JWT token
 export const verifyJWT = (handler) => {
   return async (req, res) => {
     try {
       const authHeader = req.headers.authorization;
-      const token = extractTokenFromHeader(authHeader);
+      const token = extractTokenFromHeader(authHeader) || req.cookies?.[AUTH_COOKIE_NAME];
       
       if (!token) {
         return res.status(401).json({ 
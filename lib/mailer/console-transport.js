@@ -0,0 +1,19 @@
+// Prints outgoing mail to the server log. The default outside production so
+// verification links can be copied straight from the terminal.
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(
+      [
+        '----- Outgoing email -----',
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+        '--------------------------',
+      ].join('\n')
+    );
+  },
+};
+
+export default consoleTransport;
@@ -0,0 +1,21 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const MAIL_DIR = process.env.MAIL_FILE_DIR || '.mail';
+
+// Writes each outgoing message to its own JSON file so tests and local
+// tooling can read back what would have been sent.
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(MAIL_DIR, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+};
+
+export default fileTransport;
@@ -0,0 +1,50 @@
+import consoleTransport from './console-transport';
+import fileTransport from './file-transport';
+import smtpTransport from './smtp-transport';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'ShwetankBlog <no-reply@localhost>';
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+let activeTransport = null;
+
+// Register a transport under a name so MAIL_TRANSPORT can select it. A
+// transport is any object with an async send({ from, to, subject, text, html }).
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Override the transport for the current process, e.g. from tests
+export const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  // Never fall back to printing mail in production: that would put live
+  // verification and reset links in the server logs and send nothing
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
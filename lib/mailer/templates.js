@@ -0,0 +1,37 @@
+// Email verification message with a link to the landing page
+export const verificationEmail = ({ name, url }) => ({
+  subject: 'Verify your email address',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nThe link expires in 24 hours. If you didn't create an account you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address by clicking the link below:</p>
+<p><a href="${url}">Verify email address</a></p>
+<p>The link expires in 24 hours. If you didn't create an account you can ignore this email.</p>`,
+});
+
+// Confirmation sent to the new address when a user changes their email
+export const emailChangeEmail = ({ name, url }) => ({
+  subject: 'Confirm your new email address',
+  text: `Hi ${name},\n\nPlease confirm this is your new email address by opening the link below:\n\n${url}\n\nThe link expires in 24 hours. Until then you can keep signing in with your current address.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm this is your new email address by clicking the link below:</p>
+<p><a href="${url}">Confirm email address</a></p>
+<p>The link expires in 24 hours. Until then you can keep signing in with your current address.</p>`,
+});
+
+// Password reset message with a link back to the reset form
+export const passwordResetEmail = ({ name, url }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${name},\n\nSomeone asked to reset the password for your account. Open the link below to choose a new one:\n\n${url}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this you can ignore this email; your password won't change.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Someone asked to reset the password for your account. Click the link below to choose a new one:</p>
+<p><a href="${url}">Reset password</a></p>
+<p>The link expires in 1 hour and can only be used once. If you didn't ask for this you can ignore this email; your password won't change.</p>`,
+});
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,75 @@
+import rehypeAutolinkHeadings from 'rehype-autolink-headings';
+import rehypeExternalLinks from 'rehype-external-links';
+import rehypeFormat from 'rehype-format';
+import rehypePrettyCode from 'rehype-pretty-code';
+import rehypeSlug from 'rehype-slug';
+import rehypeStringify from 'rehype-stringify';
+import remarkGfm from 'remark-gfm';
+import remarkParse from 'remark-parse';
+import remarkRehype from 'remark-rehype';
+import remarkSmartypants from 'remark-smartypants';
+import { unified } from 'unified';
+import { transformerCopyButton } from '@rehype-pretty/transformers';
+import { SITE_URL } from '@/lib/site';
+
+const SITE_HOST = new URL(SITE_URL).host;
+
+// Id remark-rehype gives the footnotes section's heading
+export const FOOTNOTE_LABEL_ID = 'footnote-label';
+
+// Absolute links to another host open in a new tab and get a ↗ marker.
+// Links to this site written out in full are treated as internal.
+const isExternalLink = (element) => {
+  try {
+    const url = new URL(element.properties.href);
+    return /^https?:$/.test(url.protocol) && url.host !== SITE_HOST;
+  } catch {
+    return false;
+  }
+};
+
+// Markdown to an HTML fragment. Plugin order matters: markdown syntax
+// (GFM tables, task lists, strikethrough and footnotes, then smart quotes and
+// dashes) is handled before converting to HTML; heading ids come before the
+// links that point at them; code highlighting follows the link plugins so they
+// never touch its output; rehypeFormat then only re-indents, leaving <pre>
+// contents alone; and stringify always closes the chain.
+export const createMarkdownProcessor = ({ codeTheme = 'github-dark' } = {}) => {
+  return unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkSmartypants)
+    .use(remarkRehype)
+    .use(rehypeSlug)
+    // The footnotes section's heading is for screen readers only
+    .use(rehypeAutolinkHeadings, { test: node => node.properties.id !== FOOTNOTE_LABEL_ID })
+    .use(rehypeExternalLinks, {
+      test: isExternalLink,
+      target: '_blank',
+      rel: ['noopener', 'noreferrer'],
+      content: { type: 'text', value: '↗' },
+      contentProperties: { className: ['external-link-icon'], ariaHidden: 'true' }
+    })
+    .use(rehypePrettyCode, {
+      theme: codeTheme,
+      transformers: [
+        transformerCopyButton({
+          visibility: 'always',
+          feedbackDuration: 3_000,
+        }),
+      ],
+    })
+    .use(rehypeFormat)
+    .use(rehypeStringify);
+};
+
+// Built once; shiki's highlighter is expensive to set up
+let defaultProcessor;
+
+// Render markdown to an HTML fragment with the default processor
+export const renderMarkdown = async (markdown) => {
+  if (!defaultProcessor) {
+    defaultProcessor = createMarkdownProcessor();
+  }
+  return (await defaultProcessor.process(markdown)).toString();
+};
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { renderMarkdown } from '@/lib/markdown';
+import { absoluteUrl } from '@/lib/site';
+
+describe('renderMarkdown', () => {
+  it('renders a fragment, not a full document', async () => {
+    const html = await renderMarkdown('# Title\n\nBody');
+    expect(html).not.toMatch(/<html|<head|<body/);
+    expect(html).toMatchSnapshot();
+  });
+
+  it('adds heading ids and anchor links', async () => {
+    expect(await renderMarkdown('## Getting started\n\n### Why C?')).toMatchSnapshot();
+  });
+
+  describe('GFM', () => {
+    it('renders tables', async () => {
+      expect(await renderMarkdown('| Name | Age |\n|:-----|----:|\n| Ada | 36 |')).toMatchSnapshot();
+    });
+
+    it('renders task lists', async () => {
+      expect(await renderMarkdown('- [x] done\n- [ ] todo')).toMatchSnapshot();
+    });
+
+    it('renders strikethrough and bare URLs as links', async () => {
+      expect(await renderMarkdown('~~old~~ new, see www.example.com')).toMatchSnapshot();
+    });
+  });
+
+  it('renders footnotes with back references', async () => {
+    expect(await renderMarkdown('A claim.[^source]\n\n[^source]: The source.')).toMatchSnapshot();
+  });
+
+  it('leaves the footnotes heading without an anchor link', async () => {
+    const html = await renderMarkdown('A claim.[^1]\n\n[^1]: Note.');
+    expect(html).toContain('<h2 class="sr-only" id="footnote-label">Footnotes</h2>');
+  });
+
+  describe('smart typography', () => {
+    it('curls quotes and converts dashes and ellipses', async () => {
+      expect(await renderMarkdown('"Quoted" and \'single\' -- then --- wait...')).toMatchSnapshot();
+    });
+
+    it('leaves inline code alone', async () => {
+      const html = await renderMarkdown('Run `echo "a" -- b...`');
+      expect(html).toContain('<code>echo "a" -- b...</code>');
+    });
+  });
+
+  describe('external links', () => {
+    it('opens other sites in a new tab with rel and an icon', async () => {
+      expect(await renderMarkdown('[Next](https://nextjs.org/docs)')).toMatchSnapshot();
+    });
+
+    it('leaves relative and same-site links untouched', async () => {
+      const html = await renderMarkdown(`[blog](/blog) [tags](${absoluteUrl('/tags')}) [top](#top)`);
+      expect(html).not.toContain('target="_blank"');
+      expect(html).not.toContain('external-link-icon');
+    });
+
+    it('ignores non-http links', async () => {
+      const html = await renderMarkdown('[mail](mailto:hi@example.com)');
+      expect(html).not.toContain('target="_blank"');
+    });
+  });
+
+  describe('code highlighting', () => {
+    it('highlights fenced code with a copy button', async () => {
+      expect(await renderMarkdown('```js\nconst answer = "a -- b";\n```')).toMatchSnapshot();
+    });
+
+    it('keeps whitespace inside code blocks', async () => {
+      const html = await renderMarkdown('```py\ndef f():\n    return 1\n```');
+      expect(html).toContain('>    return</span>');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import User from '@/models/User';
+import { revokeUserSessions } from '@/lib/session';
+import { getProvider } from './providers';
+
+export { getProvider, registerProvider } from './providers';
+
+export const OAUTH_STATE_COOKIE = 'oauth_state';
+
+const EMAIL_IN_USE = 'An account with this email already exists. Sign in with your password to continue.';
+const EMAIL_MISSING = 'No email address was shared by the provider. Please sign up with email instead.';
+
+// Errors from findOrCreateOAuthUser whose message is meant for the user
+export const isOAuthUserError = (error) => {
+  return [EMAIL_IN_USE, EMAIL_MISSING].includes(error.message);
+};
+
+// Random URL-safe string for the state parameter and PKCE verifier
+const randomString = () => {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+// Values that must survive the round trip to the provider; kept in an httpOnly cookie
+export const createOAuthState = () => {
+  return {
+    state: randomString(),
+    codeVerifier: randomString()
+  };
+};
+
+// Provider consent page URL for the authorization code flow with PKCE
+export const buildAuthorizationUrl = (provider, { redirectUri, state, codeVerifier }) => {
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const params = new URLSearchParams({
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${provider.authorizeUrl}?${params.toString()}`;
+};
+
+// Exchange the authorization code for the provider's access token
+export const exchangeCode = async (provider, { code, redirectUri, codeVerifier }) => {
+  const response = await fetch(provider.tokenUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    },
+    body: new URLSearchParams({
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code,
+      redirect_uri: redirectUri,
+      grant_type: 'authorization_code',
+      code_verifier: codeVerifier
+    }),
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.access_token) {
+    throw new Error('OAuth code exchange failed');
+  }
+  return data.access_token;
+};
+
+/**
+ * Find the user for a provider identity, linking it to an existing account with
+ * the same email when the provider has verified that email, or creating a new
+ * user otherwise.
+ */
+export const findOrCreateOAuthUser = async (providerName, profile) => {
+  const linked = await User.findOne({
+    'accounts.provider': providerName,
+    'accounts.providerAccountId': profile.providerAccountId
+  });
+  if (linked) {
+    return linked;
+  }
+
+  const account = {
+    provider: providerName,
+    providerAccountId: profile.providerAccountId,
+    email: profile.email
+  };
+
+  const existing = profile.email && await User.findOne({ email: profile.email.toLowerCase() });
+
+  if (existing) {
+    // An unverified email could belong to someone else, so never link on it
+    if (!profile.emailVerified) {
+      throw new Error(EMAIL_IN_USE);
+    }
+
+    // Nobody ever proved they own this address. Whoever set the password may
+    // have registered it before the real owner, so drop the password and
+    // their sessions rather than hand them the linked account.
+    if (!existing.isVerified) {
+      existing.password = undefined;
+      await revokeUserSessions(existing._id);
+    }
+
+    existing.accounts.push(account);
+    existing.isVerified = true;
+    if (!existing.avatar && profile.avatar) {
+      existing.avatar = profile.avatar;
+    }
+    await existing.save();
+    return existing;
+  }
+
+  if (!profile.email) {
+    throw new Error(EMAIL_MISSING);
+  }
+
+  return User.create({
+    name: (profile.name || profile.email).slice(0, 60),
+    email: profile.email,
+    avatar: profile.avatar,
+    isVerified: profile.emailVerified,
+    accounts: [account]
+  });
+};
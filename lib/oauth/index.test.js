@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import User from '@/models/User';
+import { revokeUserSessions } from '@/lib/session';
+import { findOrCreateOAuthUser, getProvider, registerProvider } from '@/lib/oauth';
+
+vi.mock('@/lib/session', () => ({ revokeUserSessions: vi.fn() }));
+
+// Provider stub standing in for GitHub or Google; the profile is set per test
+let profile;
+registerProvider('stub', {
+  name: 'stub',
+  label: 'Stub',
+  getProfile: async () => profile,
+});
+
+const signInWithStub = async () => {
+  const provider = getProvider('stub');
+  return findOrCreateOAuthUser(provider.name, await provider.getProfile('access-token'));
+};
+
+// A user document that is never written to the database
+const localUser = (fields) => {
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'hashed', ...fields });
+  vi.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// User.findOne answers the linked-identity lookup first, then the email lookup
+const stubLookups = ({ linked = null, byEmail = null }) => {
+  vi.spyOn(User, 'findOne').mockImplementation(async (query) => {
+    return query['accounts.provider'] ? linked : byEmail;
+  });
+};
+
+describe('findOrCreateOAuthUser', () => {
+  beforeEach(() => {
+    profile = {
+      providerAccountId: '42',
+      email: 'Ada@example.com',
+      emailVerified: true,
+      name: 'Ada Lovelace',
+      avatar: 'https://example.com/ada.png',
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    revokeUserSessions.mockClear();
+  });
+
+  it('returns the user an identity is already linked to', async () => {
+    const linked = localUser({ accounts: [{ provider: 'stub', providerAccountId: '42' }] });
+    stubLookups({ linked });
+
+    expect(await signInWithStub()).toBe(linked);
+    expect(linked.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to link an existing account on an unverified email', async () => {
+    const existing = localUser({ isVerified: true });
+    stubLookups({ byEmail: existing });
+    profile.emailVerified = false;
+
+    await expect(signInWithStub()).rejects.toThrow('An account with this email already exists');
+    expect(existing.accounts).toHaveLength(0);
+    expect(existing.save).not.toHaveBeenCalled();
+  });
+
+  it('keeps the password of a verified account it links to', async () => {
+    const existing = localUser({ isVerified: true });
+    stubLookups({ byEmail: existing });
+
+    const user = await signInWithStub();
+    expect(user).toBe(existing);
+    expect(user.password).toBe('hashed');
+    expect(user.accounts.map(account => account.provider)).toEqual(['stub']);
+    expect(revokeUserSessions).not.toHaveBeenCalled();
+  });
+
+  it('drops the password and sessions of an unverified account it links to', async () => {
+    const existing = localUser({ isVerified: false });
+    stubLookups({ byEmail: existing });
+
+    const user = await signInWithStub();
+    expect(user.password).toBeUndefined();
+    expect(user.isVerified).toBe(true);
+    expect(revokeUserSessions).toHaveBeenCalledWith(existing._id);
+    expect(existing.save).toHaveBeenCalled();
+  });
+});
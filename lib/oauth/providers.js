@@ -0,0 +1,91 @@
+// When set, every provider endpoint is served from this base URL instead, e.g.
+// OAUTH_MOCK_URL=http://localhost:4000 -> http://localhost:4000/github/token.
+// Lets the whole sign-in flow run offline against a fake provider in tests.
+const OAUTH_MOCK_URL = process.env.OAUTH_MOCK_URL;
+
+const endpoint = (provider, name, url) => {
+  return OAUTH_MOCK_URL ? `${OAUTH_MOCK_URL}/${provider}/${name}` : url;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`OAuth provider request failed: ${response.status} ${url}`);
+  }
+  return response.json();
+};
+
+/**
+ * Each provider describes its OAuth 2.0 endpoints and how to turn its access
+ * token into a normalised profile:
+ * { providerAccountId, email, emailVerified, name, avatar }.
+ */
+const github = {
+  name: 'github',
+  label: 'GitHub',
+  clientId: process.env.GITHUB_CLIENT_ID,
+  clientSecret: process.env.GITHUB_CLIENT_SECRET,
+  authorizeUrl: endpoint('github', 'authorize', 'https://github.com/login/oauth/authorize'),
+  tokenUrl: endpoint('github', 'token', 'https://github.com/login/oauth/access_token'),
+  scope: 'read:user user:email',
+
+  getProfile: async (accessToken) => {
+    const headers = {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/vnd.github+json',
+    };
+
+    const profile = await fetchJson(endpoint('github', 'user', 'https://api.github.com/user'), { headers });
+    // The profile email is optional and unverified; the emails API says which ones are verified
+    const emails = await fetchJson(endpoint('github', 'emails', 'https://api.github.com/user/emails'), { headers });
+    const primary = emails.find(email => email.primary) || emails[0];
+
+    return {
+      providerAccountId: String(profile.id),
+      email: primary?.email || profile.email || null,
+      emailVerified: !!primary?.verified,
+      name: profile.name || profile.login,
+      avatar: profile.avatar_url || '',
+    };
+  },
+};
+
+const google = {
+  name: 'google',
+  label: 'Google',
+  clientId: process.env.GOOGLE_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  authorizeUrl: endpoint('google', 'authorize', 'https://accounts.google.com/o/oauth2/v2/auth'),
+  tokenUrl: endpoint('google', 'token', 'https://oauth2.googleapis.com/token'),
+  scope: 'openid email profile',
+
+  getProfile: async (accessToken) => {
+    const profile = await fetchJson(
+      endpoint('google', 'userinfo', 'https://openidconnect.googleapis.com/v1/userinfo'),
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    return {
+      providerAccountId: profile.sub,
+      email: profile.email || null,
+      emailVerified: !!profile.email_verified,
+      name: profile.name || profile.email,
+      avatar: profile.picture || '',
+    };
+  },
+};
+
+const providers = {
+  github,
+  google,
+};
+
+// Replace or add a provider for the current process, e.g. a stub in tests
+export const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Look up a provider by name; null when unknown
+export const getProvider = (name) => {
+  return providers[name] || null;
+};
@@ -0,0 +1,27 @@
+// What each role may do. Admins get everything users can do plus their own list.
+const USER_PERMISSIONS = [
+  'comments:create',
+  'profile:update'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'posts:publish',
+  'comments:moderate',
+  'users:manage'
+];
+
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+// Check whether a role grants a permission
+export const hasPermission = (role, permission) => {
+  return Object.hasOwn(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Check whether a role grants every permission in the list
+export const hasPermissions = (role, permissions = []) => {
+  return permissions.every(permission => hasPermission(role, permission));
+};
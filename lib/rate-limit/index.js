@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import memoryStore from './memory-store';
+import mongoStore from './mongo-store';
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore,
+};
+
+let activeStore = null;
+
+// Override the store for the current process, e.g. from tests. A store is any
+// object with async getHits(key, since), addHit(key, timestamp, expiresAt) and clear(key).
+export const setStore = (store) => {
+  activeStore = store;
+};
+
+const getStore = () => {
+  if (activeStore) {
+    return activeStore;
+  }
+
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return store;
+};
+
+/**
+ * Create a sliding-window rate limiter allowing `limit` hits per key within
+ * any `windowMs` period.
+ *
+ * @param {{ name: string, limit: number, windowMs: number }} options
+ */
+export const createRateLimiter = ({ name, limit, windowMs }) => {
+  const storeKey = (key) => `${name}:${key}`;
+
+  return {
+    // Count a hit for the key unless it is already over the limit
+    consume: async (key) => {
+      const store = getStore();
+      const now = Date.now();
+      const hits = await store.getHits(storeKey(key), now - windowMs);
+
+      if (hits.length >= limit) {
+        // The window frees up once enough of the oldest hits have aged out
+        const freedAt = hits[hits.length - limit] + windowMs;
+        return {
+          allowed: false,
+          remaining: 0,
+          retryAfter: Math.max(Math.ceil((freedAt - now) / 1000), 1)
+        };
+      }
+
+      await store.addHit(storeKey(key), now, now + windowMs);
+      return {
+        allowed: true,
+        remaining: limit - hits.length - 1,
+        retryAfter: 0
+      };
+    },
+
+    // Forget all hits for the key, e.g. after a successful login
+    reset: async (key) => {
+      await getStore().clear(storeKey(key));
+    },
+  };
+};
+
+// 429 response carrying a Retry-After header (seconds)
+export const tooManyRequests = (message, retryAfter) => {
+  return NextResponse.json(
+    { success: false, message, retryAfter },
+    {
+      status: 429,
+      headers: { 'Retry-After': String(retryAfter) }
+    }
+  );
+};
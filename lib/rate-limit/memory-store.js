@@ -0,0 +1,68 @@
+/**
+ * Global is used here so hits survive hot reloads in development. Only
+ * suitable for a single app instance; use the Mongo store otherwise.
+ */
+let entries = global.rateLimitEntries;
+
+if (!entries) {
+  entries = global.rateLimitEntries = new Map();
+}
+
+// Keys whose window has passed are swept at most this often, so keys that are
+// never read again don't pile up
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Hard cap on tracked keys; past it the least recently hit keys are dropped
+const MAX_KEYS = 50000;
+
+let lastSweepAt = 0;
+
+const sweep = (now) => {
+  if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  lastSweepAt = now;
+
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+    }
+  }
+};
+
+const memoryStore = {
+  name: 'memory',
+
+  // Timestamps of hits for a key newer than `since`, oldest first
+  getHits: async (key, since) => {
+    const entry = entries.get(key);
+    const timestamps = (entry?.timestamps || []).filter(timestamp => timestamp > since);
+
+    if (timestamps.length) {
+      entry.timestamps = timestamps;
+    } else {
+      entries.delete(key);
+    }
+    return timestamps;
+  },
+
+  addHit: async (key, timestamp, expiresAt) => {
+    sweep(timestamp);
+
+    // Re-inserting keeps the Map ordered from least to most recently hit
+    const entry = entries.get(key) || { timestamps: [], expiresAt };
+    entries.delete(key);
+    entry.timestamps.push(timestamp);
+    entry.expiresAt = Math.max(entry.expiresAt, expiresAt);
+    entries.set(key, entry);
+
+    for (const oldest of entries.keys()) {
+      if (entries.size <= MAX_KEYS) break;
+      entries.delete(oldest);
+    }
+  },
+
+  clear: async (key) => {
+    entries.delete(key);
+  },
+};
+
+export default memoryStore;
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import memoryStore from './memory-store';
+
+describe('memoryStore', () => {
+  it('sweeps expired keys that are never read again', async () => {
+    const start = Date.now();
+    for (let i = 0; i < 100; i++) {
+      await memoryStore.addHit(`spoofed:${i}`, start, start + 1000);
+    }
+    expect(global.rateLimitEntries.size).toBeGreaterThanOrEqual(100);
+
+    // Past the window and the sweep interval, the next hit clears them out
+    await memoryStore.addHit('real', start + 120000, start + 121000);
+    expect([...global.rateLimitEntries.keys()]).toEqual(['real']);
+  });
+
+  it('returns only hits inside the window', async () => {
+    await memoryStore.clear('key');
+    await memoryStore.addHit('key', 1000, 2000);
+    await memoryStore.addHit('key', 1500, 2500);
+
+    expect(await memoryStore.getHits('key', 1200)).toEqual([1500]);
+    expect(await memoryStore.getHits('key', 1600)).toEqual([]);
+  });
+});
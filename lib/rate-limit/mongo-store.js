@@ -0,0 +1,30 @@
+import RateLimitHit from '@/models/RateLimitHit';
+
+// Shares hits between app instances. Callers must have run dbConnect().
+const mongoStore = {
+  name: 'mongo',
+
+  // Timestamps of hits for a key newer than `since`, oldest first
+  getHits: async (key, since) => {
+    const docs = await RateLimitHit.find({ key, createdAt: { $gt: new Date(since) } })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean();
+
+    return docs.map(doc => doc.createdAt.getTime());
+  },
+
+  addHit: async (key, timestamp, expiresAt) => {
+    await RateLimitHit.create({
+      key,
+      createdAt: new Date(timestamp),
+      expiresAt: new Date(expiresAt)
+    });
+  },
+
+  clear: async (key) => {
+    await RateLimitHit.deleteMany({ key });
+  },
+};
+
+export default mongoStore;
@@ -0,0 +1,55 @@
+import { ipAddress } from '@vercel/functions';
+
+// Reverse proxies in front of the app that append to X-Forwarded-For, e.g. 1
+// behind a single nginx. Required in production outside Vercel; 0 trusts no
+// forwarding headers, leaving the client IP unknown.
+const TRUSTED_PROXY_HOPS = process.env.TRUSTED_PROXY_HOPS === undefined
+  ? null
+  : parseInt(process.env.TRUSTED_PROXY_HOPS, 10);
+
+// Client IP for a route handler request, used for rate limits and audit logs.
+// Next never sets request.ip for Node.js route handlers, so the address comes
+// from headers only a trusted layer could have written: X-Real-IP on Vercel,
+// whose edge overwrites it, or else the X-Forwarded-For entry added by the
+// outermost trusted proxy (anything left of it came from the client). Empty
+// when unknown; callers skip per-IP limits rather than share one bucket.
+export const getClientIp = (request) => {
+  if (process.env.VERCEL) {
+    return ipAddress(request) || '';
+  }
+
+  if (TRUSTED_PROXY_HOPS === null) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TRUSTED_PROXY_HOPS must be set in production outside Vercel');
+    }
+    return '';
+  }
+
+  if (TRUSTED_PROXY_HOPS > 0) {
+    const hops = (request.headers.get('x-forwarded-for') || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+
+    if (hops.length >= TRUSTED_PROXY_HOPS) {
+      return hops[hops.length - TRUSTED_PROXY_HOPS];
+    }
+    return request.headers.get('x-real-ip') || '';
+  }
+
+  return '';
+};
+
+// User agent string for a route handler request
+export const getUserAgent = (request) => {
+  return request.headers.get('user-agent') || '';
+};
+
+// Approximate location from the geo headers set by the hosting edge
+// (Vercel or Cloudflare). Empty when running without one, e.g. locally.
+export const getClientLocation = (request) => {
+  const city = request.headers.get('x-vercel-ip-city');
+  const country = request.headers.get('x-vercel-ip-country') || request.headers.get('cf-ipcountry');
+
+  return [city && decodeURIComponent(city), country].filter(Boolean).join(', ');
+};
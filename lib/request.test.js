@@ -0,0 +1,46 @@
+import { NextRequest } from 'next/server';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const request = (headers) => ({ headers: new Headers(headers) });
+
+// TRUSTED_PROXY_HOPS is read when the module loads
+const loadGetClientIp = async (hops) => {
+  vi.resetModules();
+  if (hops !== undefined) vi.stubEnv('TRUSTED_PROXY_HOPS', String(hops));
+  return (await import('@/lib/request')).getClientIp;
+};
+
+describe('getClientIp', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('uses the edge-set X-Real-IP on Vercel, not X-Forwarded-For', async () => {
+    vi.stubEnv('VERCEL', '1');
+    const getClientIp = await loadGetClientIp();
+    const nextRequest = new NextRequest('https://example.com/api/auth/login', {
+      headers: { 'x-forwarded-for': '6.6.6.6', 'x-real-ip': '1.2.3.4' }
+    });
+    expect(nextRequest.ip).toBeUndefined();
+    expect(getClientIp(nextRequest)).toBe('1.2.3.4');
+  });
+
+  it('ignores forwarding headers when no proxy is trusted', async () => {
+    const getClientIp = await loadGetClientIp(0);
+    expect(getClientIp(request({ 'x-forwarded-for': '6.6.6.6', 'x-real-ip': '6.6.6.6' }))).toBe('');
+  });
+
+  it('takes the entry added by the outermost trusted proxy, not the client-supplied ones', async () => {
+    const oneProxy = await loadGetClientIp(1);
+    expect(oneProxy(request({ 'x-forwarded-for': '6.6.6.6, 1.2.3.4' }))).toBe('1.2.3.4');
+
+    const twoProxies = await loadGetClientIp(2);
+    expect(twoProxies(request({ 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.0.0.2' }))).toBe('1.2.3.4');
+  });
+
+  it('requires the proxy hops setting in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    const getClientIp = await loadGetClientIp();
+    expect(() => getClientIp(request({}))).toThrow('TRUSTED_PROXY_HOPS must be set');
+  });
+});
@@ -0,0 +1,312 @@
+import { getAllPosts } from '@/lib/content';
+
+// How much a match in each field counts towards a post's score
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 4,
+  headings: 3,
+  description: 2,
+  body: 1
+};
+
+// Prefix and fuzzy matches count for less than the exact word
+const PREFIX_FACTOR = 0.7;
+const TYPO_FACTOR = 0.5;
+
+// Shorter query words only match exactly; "c" (from "c++") as a prefix would
+// match every word starting with c
+const MIN_PREFIX_LENGTH = 3;
+
+const SNIPPET_LENGTH = 160;
+
+// Every query word of 4+ letters is compared against the whole vocabulary for
+// typos, so the work a query can cause is bounded here, whoever the caller is
+export const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TOKENS = 10;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// Lowercase words with accents removed, e.g. "Café's" -> ["cafe", "s"]
+export const tokenize = (text) => {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [];
+};
+
+const indexableTokens = (text) => tokenize(text).filter(token => !STOP_WORDS.has(token));
+
+// Markdown headings, skipping lines inside fenced code blocks
+const extractHeadings = (markdown) => {
+  const headings = [];
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const match = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+      if (match) headings.push(match[1]);
+    }
+  }
+
+  return headings;
+};
+
+// Readable text of a markdown body, used both for indexing and for snippets
+const toPlainText = (markdown) => {
+  return markdown
+    .replace(/^\s*(```|~~~).*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Edit distance between two words, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query word: none for short words, where they'd match everything
+const allowedTypos = (token) => {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+};
+
+// Build the inverted index: term -> Map(post index -> weighted term frequency)
+export const buildSearchIndex = (posts) => {
+  const terms = new Map();
+
+  const documents = posts.map((post, docIndex) => {
+    const headings = extractHeadings(post.content);
+    const body = toPlainText(post.content);
+    const fields = {
+      title: post.title,
+      tags: post.tags.join(' '),
+      headings: headings.join(' '),
+      description: post.description,
+      body
+    };
+
+    for (const [field, text] of Object.entries(fields)) {
+      for (const token of indexableTokens(text)) {
+        if (!terms.has(token)) terms.set(token, new Map());
+        const postings = terms.get(token);
+        postings.set(docIndex, (postings.get(docIndex) || 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+
+    return { post, body };
+  });
+
+  return {
+    documents,
+    terms,
+    // Sorted once so prefix lookups can stop early
+    vocabulary: Array.from(terms.keys()).sort()
+  };
+};
+
+// Index terms a query word matches, each with how much the match is worth
+const expandToken = (index, token) => {
+  const matches = new Map();
+  if (index.terms.has(token)) {
+    matches.set(token, 1);
+  }
+
+  if (token.length < MIN_PREFIX_LENGTH) {
+    return matches;
+  }
+
+  // Prefix matches: "hoo" finds "hooks". Binary search to the first candidate.
+  let low = 0;
+  let high = index.vocabulary.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index.vocabulary[mid] < token) low = mid + 1;
+    else high = mid;
+  }
+  for (let i = low; i < index.vocabulary.length && index.vocabulary[i].startsWith(token); i++) {
+    if (!matches.has(index.vocabulary[i])) {
+      matches.set(index.vocabulary[i], PREFIX_FACTOR);
+    }
+  }
+
+  // Typo tolerance: "reakt" finds "react"
+  const maxTypos = allowedTypos(token);
+  if (maxTypos) {
+    for (const term of index.vocabulary) {
+      if (!matches.has(term) && editDistance(token, term, maxTypos) <= maxTypos) {
+        matches.set(term, TYPO_FACTOR);
+      }
+    }
+  }
+
+  return matches;
+};
+
+// Split text into plain and highlighted parts around any of the matched terms
+const highlight = (text, terms) => {
+  const parts = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let last = 0;
+  let match;
+
+  while ((match = wordPattern.exec(text))) {
+    const [token] = tokenize(match[0]);
+    if (token && terms.has(token)) {
+      if (match.index > last) parts.push({ text: text.slice(last, match.index), highlight: false });
+      parts.push({ text: match[0], highlight: true });
+      last = match.index + match[0].length;
+    }
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), highlight: false });
+
+  return parts;
+};
+
+// Index of the first matched word in some text, or -1
+const firstMatchIndex = (text, terms) => {
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordPattern.exec(text))) {
+    const [token] = tokenize(match[0]);
+    if (token && terms.has(token)) {
+      return match.index;
+    }
+  }
+  return -1;
+};
+
+// A window of the body around the first matched word, as highlight parts.
+// When only the description matched, that is shown highlighted instead.
+const buildSnippet = ({ post, body }, terms) => {
+  const matchIndex = firstMatchIndex(body, terms);
+  if (matchIndex === -1 && firstMatchIndex(post.description, terms) !== -1) {
+    return highlight(post.description, terms);
+  }
+
+  let start = matchIndex === -1 ? 0 : Math.max(0, matchIndex - SNIPPET_LENGTH / 4);
+
+  // Snap to word boundaries so the snippet doesn't open or close mid-word
+  if (start > 0) {
+    const space = body.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+  let end = Math.min(body.length, start + SNIPPET_LENGTH);
+  if (end < body.length) {
+    const space = body.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const parts = highlight(body.slice(start, end), terms);
+  if (start > 0) parts.unshift({ text: '…', highlight: false });
+  if (end < body.length) parts.push({ text: '…', highlight: false });
+  return parts;
+};
+
+// Rank posts for a query. Every query word contributes its best match per
+// post, weighted by field and rarity; posts matching more of the query words
+// rank higher.
+export const searchIndex = (index, query, { limit = 10 } = {}) => {
+  const tokens = [...new Set(indexableTokens(String(query).slice(0, MAX_QUERY_LENGTH)))]
+    .slice(0, MAX_QUERY_TOKENS);
+  if (!tokens.length) return [];
+
+  const documentCount = index.documents.length;
+  const scores = new Map();
+  const matchedTerms = new Set();
+
+  for (const token of tokens) {
+    const best = new Map();
+
+    for (const [term, factor] of expandToken(index, token)) {
+      matchedTerms.add(term);
+      const postings = index.terms.get(term);
+      const idf = Math.log(1 + documentCount / postings.size);
+
+      for (const [docIndex, frequency] of postings) {
+        // Dampen repeated words so a long post can't win on volume alone
+        const score = factor * idf * (1 + Math.log(frequency));
+        best.set(docIndex, Math.max(best.get(docIndex) || 0, score));
+      }
+    }
+
+    for (const [docIndex, score] of best) {
+      const entry = scores.get(docIndex) || { score: 0, matched: 0 };
+      entry.score += score;
+      entry.matched += 1;
+      scores.set(docIndex, entry);
+    }
+  }
+
+  return Array.from(scores, ([docIndex, { score, matched }]) => ({
+    docIndex,
+    score: score * (matched / tokens.length) ** 2
+  }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ docIndex, score }) => {
+      const document = index.documents[docIndex];
+      const { post } = document;
+      return {
+        slug: post.slug,
+        title: highlight(post.title, matchedTerms),
+        description: post.description,
+        date: post.date,
+        tags: post.tags,
+        snippet: buildSnippet(document, matchedTerms),
+        score: Math.round(score * 1000) / 1000
+      };
+    });
+};
+
+// Built when the module loads, so it is ready before the first search, and
+// rebuilt only when lib/content hands back different posts: a file changed in
+// development, or a scheduled post went live
+const indexPosts = (posts) => ({ posts, index: buildSearchIndex(posts) });
+
+let cached = indexPosts(getAllPosts());
+
+export const getSearchIndex = () => {
+  const posts = getAllPosts();
+  const unchanged = posts.length === cached.posts.length &&
+    posts.every((post, i) => post === cached.posts[i]);
+
+  if (!unchanged) {
+    cached = indexPosts(posts);
+  }
+  return cached.index;
+};
+
+// Search all posts
+export const searchPosts = (query, options) => {
+  return searchIndex(getSearchIndex(), query, options);
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { buildSearchIndex, searchIndex } from '@/lib/search';
+
+const post = (slug, fields) => ({
+  slug,
+  title: slug,
+  description: '',
+  date: '2025-01-01',
+  tags: [],
+  content: '',
+  ...fields
+});
+
+const index = buildSearchIndex([
+  post('c-tutorial', { title: 'C Programming Tutorial', content: 'Pointers in C.' }),
+  post('css-tutorial', { title: 'CSS Tutorial', content: 'Cascading style sheets and colours.' }),
+  post('react-hooks', { title: 'React Hooks', content: 'Using hooks in components.' }),
+  post('deploys', { title: 'Deploys', description: 'Shipping with Kubernetes', content: 'Nothing else here.' })
+]);
+
+const slugs = (results) => results.map(result => result.slug);
+const highlighted = (parts) => parts.filter(part => part.highlight).map(part => part.text);
+
+describe('searchIndex', () => {
+  it('matches short words exactly rather than as prefixes', () => {
+    expect(slugs(searchIndex(index, 'c++'))).toEqual(['c-tutorial']);
+  });
+
+  it('matches prefixes of three letters or more', () => {
+    expect(slugs(searchIndex(index, 'hoo'))).toEqual(['react-hooks']);
+  });
+
+  it('tolerates typos in longer words', () => {
+    expect(slugs(searchIndex(index, 'reakt'))).toEqual(['react-hooks']);
+  });
+
+  it('highlights the description when only it matched', () => {
+    const [result] = searchIndex(index, 'kubernetes');
+    expect(result.slug).toBe('deploys');
+    expect(highlighted(result.snippet)).toEqual(['Kubernetes']);
+  });
+
+  it('highlights body matches in the snippet', () => {
+    const [result] = searchIndex(index, 'pointers');
+    expect(highlighted(result.snippet)).toEqual(['Pointers']);
+  });
+
+  it('only reads the first words of an overlong query', () => {
+    const filler = Array.from({ length: 10 }, (_, i) => `filler${i}`).join(' ');
+    expect(searchIndex(index, `${filler} kubernetes`)).toEqual([]);
+    expect(searchIndex(index, `${'x'.repeat(20000)} kubernetes`)).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+import { FEED_ALTERNATES, SITE_NAME, absoluteUrl, postUrl } from '@/lib/site';
+
+// The post's canonical URL: its own page unless frontmatter points elsewhere
+export const canonicalUrl = (post) => {
+  return post.canonical ? absoluteUrl(post.canonical) : postUrl(post);
+};
+
+// Unlisted posts are shared by link only, so they stay out of search results too
+const shouldIndex = (post) => !post.noindex && !post.unlisted;
+
+const publishedTime = (post) => new Date(post.publishAt || post.date).toISOString();
+const modifiedTime = (post) => new Date(post.updated || post.publishAt || post.date).toISOString();
+
+// Page metadata for a post: title, description, canonical URL, robots and share
+// cards. The card images come from the post's opengraph-image and twitter-image routes.
+export const postMetadata = (post) => {
+  const title = post.seoTitle || post.title;
+
+  return {
+    title,
+    description: post.description,
+    authors: [{ name: post.author }],
+    keywords: post.tags,
+    alternates: {
+      canonical: canonicalUrl(post),
+      types: FEED_ALTERNATES
+    },
+    robots: shouldIndex(post) ? undefined : { index: false, follow: true },
+    openGraph: {
+      type: 'article',
+      siteName: SITE_NAME,
+      url: postUrl(post),
+      title,
+      description: post.description,
+      publishedTime: publishedTime(post),
+      modifiedTime: modifiedTime(post),
+      authors: [post.author],
+      tags: post.tags
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title,
+      description: post.description
+    }
+  };
+};
+
+// schema.org BlogPosting and BreadcrumbList for a post, as one JSON-LD graph
+export const postStructuredData = (post) => {
+  const url = postUrl(post);
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'BlogPosting',
+        '@id': `${url}#article`,
+        headline: post.seoTitle || post.title,
+        description: post.description,
+        image: [absoluteUrl(post.image)],
+        datePublished: publishedTime(post),
+        dateModified: modifiedTime(post),
+        author: { '@type': 'Person', name: post.author },
+        publisher: {
+          '@type': 'Organization',
+          name: SITE_NAME,
+          logo: { '@type': 'ImageObject', url: absoluteUrl('/logo.jpg') }
+        },
+        keywords: post.tags.join(', '),
+        mainEntityOfPage: canonicalUrl(post),
+        url
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Home', item: absoluteUrl('/') },
+          { '@type': 'ListItem', position: 2, name: 'Blog', item: absoluteUrl('/blog') },
+          { '@type': 'ListItem', position: 3, name: post.title, item: url }
+        ]
+      }
+    ]
+  };
+};
+
+// JSON for an inline <script>; escaping "<" stops a "</script>" in frontmatter
+// from closing the tag early
+export const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
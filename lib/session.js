@@ -0,0 +1,163 @@
+import Session from '@/models/Session';
+import {
+  generateToken,
+  generateOpaqueToken,
+  hashToken,
+  setAuthCookie,
+  setRefreshCookie,
+} from '@/lib/jwt';
+import { getClientIp, getClientLocation, getUserAgent } from '@/lib/request';
+import { recordAuthEvent } from '@/lib/audit';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Two tabs refreshing at the same moment present the same token; the one that
+// loses the race already has the rotated cookie, so it must not be treated as reuse
+const REUSE_GRACE_PERIOD_MS = 10 * 1000;
+
+// Rotated-away hashes kept per session for reuse detection. A tab left open
+// refreshes about every 14 minutes, so without a cap the array (and its index)
+// would grow by ~100 entries a day for as long as the session keeps sliding.
+// Older tokens are still rejected, just without revoking the session.
+const MAX_PREVIOUS_TOKEN_HASHES = 100;
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Access token for a user, bound to the session it was issued from
+const generateAccessToken = (user, session) => {
+  return generateToken({
+    userId: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    sessionId: session._id
+  });
+};
+
+// Start a new session (token family) for a user who just signed in
+export const createSession = async (user, request) => {
+  const refreshToken = generateOpaqueToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: getUserAgent(request),
+    ip: getClientIp(request),
+    location: getClientLocation(request),
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    session,
+    refreshToken,
+    accessToken: generateAccessToken(user, session)
+  };
+};
+
+// Exchange a refresh token for a new access/refresh token pair. Presenting a
+// token that has already been rotated revokes the whole session.
+export const rotateSession = async (refreshToken, request) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateOpaqueToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        ip: getClientIp(request),
+        location: getClientLocation(request),
+        lastUsedAt: now,
+        expiresAt: refreshTokenExpiry()
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+      }
+    },
+    { new: true }
+  ).populate('user');
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (!reused) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const isConcurrentRefresh =
+      reused.previousTokenHashes[reused.previousTokenHashes.length - 1] === tokenHash &&
+      now - reused.lastUsedAt < REUSE_GRACE_PERIOD_MS;
+
+    if (isConcurrentRefresh) {
+      throw new Error('Refresh token already rotated');
+    }
+
+    if (!reused.revokedAt) {
+      reused.revokedAt = now;
+      reused.revokedReason = 'reuse';
+      await reused.save();
+    }
+    await recordAuthEvent('token.reuse', request, {
+      user: reused.user,
+      actor: null,
+      metadata: { sessionId: reused._id }
+    });
+    throw new Error('Refresh token reuse detected');
+  }
+
+  // The account was deleted while the session was alive
+  if (!session.user) {
+    await Session.deleteOne({ _id: session._id });
+    throw new Error('Invalid refresh token');
+  }
+
+  return {
+    session,
+    user: session.user,
+    refreshToken: nextRefreshToken,
+    accessToken: generateAccessToken(session.user, session)
+  };
+};
+
+// Revoke the session a refresh token belongs to, returning it if it was still active
+export const revokeSession = async (refreshToken) => {
+  return Session.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+};
+
+// List a user's sessions that can still be refreshed, most recently used first
+export const getActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke sessions of a user by filter, e.g. one session or all but the current one
+export const revokeUserSessions = async (userId, filter = {}, reason = 'revoked') => {
+  const result = await Session.updateMany(
+    { ...filter, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Check that the session an access token was issued from has not been revoked
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const session = await Session.findById(sessionId);
+  return !!session && session.isActive();
+};
+
+// Attach both auth cookies for a freshly created or rotated session
+export const setSessionCookies = (response, { accessToken, refreshToken, session }) => {
+  setAuthCookie(response, accessToken);
+  setRefreshCookie(response, refreshToken, session.expiresAt);
+  return response;
+};
@@ -0,0 +1,45 @@
+// Site-wide details used for absolute URLs in feeds, sitemaps, metadata and emails
+export const SITE_NAME = 'ShwetankBlog';
+export const SITE_DESCRIPTION = 'Articles on programming, web development, data science, and more.';
+export const SITE_AUTHOR = 'Shwetank';
+
+// Public origin of the site. Set NEXT_PUBLIC_SITE_URL, e.g. https://blog.example.com;
+// Vercel deployments fall back to the project's production domain.
+const resolveSiteUrl = () => {
+  if (process.env.NEXT_PUBLIC_SITE_URL) {
+    return process.env.NEXT_PUBLIC_SITE_URL;
+  }
+  if (process.env.VERCEL_PROJECT_PRODUCTION_URL) {
+    return `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`;
+  }
+  return 'http://localhost:3000';
+};
+
+export const SITE_URL = resolveSiteUrl().replace(/\/+$/, '');
+
+const SITE_URL_CONFIGURED = Boolean(process.env.NEXT_PUBLIC_SITE_URL || process.env.VERCEL_PROJECT_PRODUCTION_URL);
+
+// Base URL for links sent outside the app, such as in emails. Never taken from
+// the request: a forged Host header would otherwise put live tokens in links
+// to someone else's server.
+export const getAppUrl = () => {
+  if (!SITE_URL_CONFIGURED && process.env.NODE_ENV === 'production') {
+    throw new Error('NEXT_PUBLIC_SITE_URL must be set in production');
+  }
+  return SITE_URL;
+};
+
+// Absolute URL for a site path; absolute URLs pass through unchanged
+export const absoluteUrl = (path = '/') => {
+  return new URL(path, `${SITE_URL}/`).toString();
+};
+
+export const postUrl = (post) => absoluteUrl(`/blogpost/${post.slug}`);
+
+// Feed links for <link rel="alternate">. Next replaces `alternates` as a whole,
+// so pages that set a canonical URL spread these back in.
+export const FEED_ALTERNATES = {
+  'application/rss+xml': [{ url: '/feed.xml', title: `${SITE_NAME} RSS` }],
+  'application/atom+xml': [{ url: '/atom.xml', title: `${SITE_NAME} Atom` }],
+  'application/feed+json': [{ url: '/feed.json', title: `${SITE_NAME} JSON Feed` }]
+};
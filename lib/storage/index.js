@@ -0,0 +1,32 @@
+import localStorage from './local-storage';
+
+const adapters = {
+  local: localStorage,
+};
+
+let activeAdapter = null;
+
+// Register an adapter under a name so STORAGE_DRIVER can select it. An adapter
+// is any object with async put(key, body, { contentType }) returning a public
+// URL, and async remove(key). An S3-compatible adapter slots in here.
+export const registerStorage = (name, adapter) => {
+  adapters[name] = adapter;
+};
+
+// Override the adapter for the current process, e.g. from tests
+export const setStorage = (adapter) => {
+  activeAdapter = adapter;
+};
+
+export const getStorage = () => {
+  if (activeAdapter) {
+    return activeAdapter;
+  }
+
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return adapter;
+};
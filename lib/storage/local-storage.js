@@ -0,0 +1,34 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(process.cwd(), 'public', 'uploads');
+const UPLOADS_URL = '/uploads';
+
+// Resolve a storage key inside the uploads directory, refusing anything that escapes it
+export const resolveUploadPath = (key) => {
+  const filePath = path.resolve(UPLOADS_DIR, key);
+  if (!filePath.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+// Stores files on the local filesystem under public/uploads. In development
+// Next serves them straight from public/; `next start` only serves files that
+// existed at build time, so app/uploads/[...path] serves the rest.
+const localStorage = {
+  name: 'local',
+
+  put: async (key, body) => {
+    const filePath = resolveUploadPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return `${UPLOADS_URL}/${key}`;
+  },
+
+  remove: async (key) => {
+    await fs.rm(resolveUploadPath(key), { force: true });
+  },
+};
+
+export default localStorage;
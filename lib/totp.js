@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HMAC-based one-time password for a counter value
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+};
+
+// Current 30-second time step
+export const currentStep = (now = Date.now()) => {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+};
+
+// Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+export const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Code for a secret at a given time, mainly useful in tests
+export const generateTotp = (secret, now = Date.now()) => {
+  return hotp(base32Decode(secret), currentStep(now));
+};
+
+/**
+ * Check a code against a secret, allowing `window` steps of clock drift either
+ * way. Returns the matching time step, or null. Steps at or before
+ * `afterStep` are rejected so a code can't be replayed.
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+
+  for (let candidate = step - window; candidate <= step + window; candidate++) {
+    if (candidate <= afterStep) continue;
+
+    const expected = hotp(key, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import from a QR code
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
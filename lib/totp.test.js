@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { buildOtpauthUri, currentStep, generateSecret, generateTotp, verifyTotp } from '@/lib/totp';
+
+// The RFC 6238 appendix B SHA-1 key, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateTotp', () => {
+  // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('matches the RFC 6238 test vector at %i s', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  it('round-trips a generated secret', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(verifyTotp(secret, generateTotp(secret))).toBe(currentStep());
+  });
+});
+
+describe('verifyTotp', () => {
+  const now = 1111111109 * 1000;
+
+  it('accepts one step of clock drift either way, but not two', () => {
+    const step = currentStep(now);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), { now })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60000), { now })).toBeNull();
+  });
+
+  it('rejects codes at or before afterStep so they cannot be replayed', () => {
+    const step = verifyTotp(RFC_SECRET, '081804', { now });
+    expect(step).toBe(currentStep(now));
+    expect(verifyTotp(RFC_SECRET, '081804', { now, afterStep: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '081804', { now, afterStep: step - 1 })).toBe(step);
+  });
+
+  it('ignores spaces and rejects anything but six digits', () => {
+    expect(verifyTotp(RFC_SECRET, '081 804', { now })).toBe(currentStep(now));
+    expect(verifyTotp(RFC_SECRET, '81804', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { now })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('labels the account with the issuer', () => {
+    expect(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ada@example.com', issuer: 'Blog' })).toBe(
+      `otpauth://totp/Blog%3Aada%40example.com?secret=${RFC_SECRET}&issuer=Blog&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { decrypt, encrypt } from '@/lib/encryption';
+import { hashToken } from '@/lib/jwt';
+import { buildOtpauthUri, generateSecret, verifyTotp } from '@/lib/totp';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ShwetankBlog';
+const RECOVERY_CODE_COUNT = 10;
+
+// Hidden User fields needed by the functions below; add to .select() when loading the user
+export const TWO_FACTOR_FIELDS =
+  '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes';
+
+// Recovery codes look like "a1b2c-3d4e5"; the dash and case are ignored when checking
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+};
+
+// Start enrolment: store a pending secret and return what the authenticator app needs
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = encrypt(secret);
+  await user.save();
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: TOTP_ISSUER
+  });
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+};
+
+// Finish enrolment with a first valid code. Returns the plain recovery codes,
+// which are shown to the user once and only stored hashed.
+export const confirmEnrollment = async (user, code) => {
+  if (!user.twoFactorPendingSecret) {
+    throw new Error('Two-factor setup has not been started');
+  }
+
+  const secret = decrypt(user.twoFactorPendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw new Error('Invalid verification code');
+  }
+
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode)));
+  await user.save();
+
+  return recoveryCodes;
+};
+
+// Check a 6-digit code or a recovery code for a user with 2FA enabled.
+// Accepted codes are consumed so they can't be replayed.
+export const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(decrypt(user.twoFactorSecret), code, {
+    afterStep: user.twoFactorLastUsedStep
+  });
+  if (step !== null) {
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  const recoveryHash = hashToken(normalizeRecoveryCode(code));
+  if (user.twoFactorRecoveryCodes.includes(recoveryHash)) {
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(hash => hash !== recoveryHash);
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
+
+// Turn 2FA off and forget the secret and recovery codes
+export const disableTwoFactor = async (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = -1;
+  user.twoFactorRecoveryCodes = [];
+  await user.save();
+};
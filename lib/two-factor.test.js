@@ -0,0 +1,56 @@
+import { describe, expect, it, vi } from 'vitest';
+import { confirmEnrollment, verifySecondFactor } from '@/lib/two-factor';
+import { encrypt } from '@/lib/encryption';
+import { generateSecret, generateTotp } from '@/lib/totp';
+
+// Just the User fields lib/two-factor reads and writes; save() is a no-op spy
+const fakeUser = (fields) => ({
+  twoFactorEnabled: false,
+  twoFactorLastUsedStep: -1,
+  twoFactorRecoveryCodes: [],
+  save: vi.fn(),
+  ...fields
+});
+
+// A user who has finished enrolment, with their plain secret and recovery codes
+const enrolledUser = async () => {
+  const secret = generateSecret();
+  const user = fakeUser({ twoFactorPendingSecret: encrypt(secret) });
+  // Enrolment consumes the current step; start from an earlier one so the
+  // tests below can use a fresh code
+  const recoveryCodes = await confirmEnrollment(user, generateTotp(secret));
+  user.twoFactorLastUsedStep -= 2;
+  return { user, secret, recoveryCodes };
+};
+
+describe('verifySecondFactor', () => {
+  it('accepts a code once and rejects its replay', async () => {
+    const { user, secret } = await enrolledUser();
+    const code = generateTotp(secret);
+
+    expect(await verifySecondFactor(user, code)).toBe(true);
+    expect(await verifySecondFactor(user, code)).toBe(false);
+  });
+
+  it('accepts each recovery code once, ignoring case and the dash', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const [first, second] = recoveryCodes;
+
+    expect(await verifySecondFactor(user, first.toUpperCase().replace('-', ''))).toBe(true);
+    expect(await verifySecondFactor(user, first)).toBe(false);
+    expect(user.twoFactorRecoveryCodes).toHaveLength(recoveryCodes.length - 1);
+    expect(await verifySecondFactor(user, second)).toBe(true);
+  });
+
+  it('stores recovery codes hashed, not in plain text', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    expect(user.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+    expect(user.twoFactorRecoveryCodes.join()).not.toContain(recoveryCodes[0].replace('-', ''));
+  });
+
+  it('rejects everything while two-factor authentication is off', async () => {
+    const { user, secret } = await enrolledUser();
+    user.twoFactorEnabled = false;
+    expect(await verifySecondFactor(user, generateTotp(secret))).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+// Ordered so that browsers built on Chromium are matched before Chrome itself
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+// Turn a user agent string into a short human label such as "Chrome 126 on macOS"
+export const describeUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  const browserLabel = browser
+    ? `${browser[0]} ${userAgent.match(browser[1])[1].split('.')[0]}`
+    : 'Unknown browser';
+
+  return os ? `${browserLabel} on ${os[0]}` : browserLabel;
+};
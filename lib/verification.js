@@ -0,0 +1,113 @@
+import VerificationToken from '@/models/VerificationToken';
+import { generateOpaqueToken, hashToken } from '@/lib/jwt';
+import { sendMail } from '@/lib/mailer';
+import { emailChangeEmail, passwordResetEmail, verificationEmail } from '@/lib/mailer/templates';
+import { getAppUrl } from '@/lib/site';
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Issue a new token of the given type, invalidating any earlier unused ones
+const issueToken = async (user, type, { email, ttlMs }) => {
+  await VerificationToken.deleteMany({
+    user: user._id,
+    type,
+    usedAt: null
+  });
+
+  const token = generateOpaqueToken();
+  await VerificationToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Mark a token of the given type(s) as used and return it, or throw if it is
+// unknown, expired or already used
+const consumeToken = async (token, type) => {
+  const now = new Date();
+
+  const record = await VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type: Array.isArray(type) ? { $in: type } : type,
+      usedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new Error(
+      type === 'password-reset'
+        ? 'Invalid or expired reset token'
+        : 'Invalid or expired verification token'
+    );
+  }
+
+  return record;
+};
+
+// Issue a new email verification token
+export const createEmailVerificationToken = async (user, email = user.email) => {
+  return issueToken(user, 'email-verification', {
+    email,
+    ttlMs: EMAIL_VERIFICATION_TTL_MS
+  });
+};
+
+// Mail a verification link to the user
+export const sendVerificationEmail = async (user, email = user.email) => {
+  const token = await createEmailVerificationToken(user, email);
+  const url = `${getAppUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: email,
+    ...verificationEmail({ name: user.name, url })
+  });
+};
+
+// Mail a confirmation link to a new address the user wants to switch to. The
+// email on the account only changes once the link is opened.
+export const sendEmailChangeEmail = async (user, newEmail) => {
+  const token = await issueToken(user, 'email-change', {
+    email: newEmail,
+    ttlMs: EMAIL_VERIFICATION_TTL_MS
+  });
+  const url = `${getAppUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: newEmail,
+    ...emailChangeEmail({ name: user.name, url })
+  });
+};
+
+// Consume a token from a verification or email change link; both land on the same page
+export const consumeEmailVerificationToken = async (token) => {
+  return consumeToken(token, ['email-verification', 'email-change']);
+};
+
+// Mail a password reset link to the user. The link opens the reset form in the auth modal.
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, 'password-reset', {
+    email: user.email,
+    ttlMs: PASSWORD_RESET_TTL_MS
+  });
+  const url = `${getAppUrl()}/?resetToken=${token}`;
+
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({ name: user.name, url })
+  });
+};
+
+// Consume a password reset token
+export const consumePasswordResetToken = async (token) => {
+  return consumeToken(token, 'password-reset');
+};
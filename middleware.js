@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { verifyTokenEdge } from '@/lib/edge-jwt';
+
+// Must match AUTH_COOKIE_NAME in lib/jwt.js, which can't be imported on the Edge runtime
+const AUTH_COOKIE_NAME = 'token';
+
+// Page prefixes that need a signed-in user, optionally with a given role
+const PROTECTED_ROUTES = [
+  { prefix: '/admin', roles: ['admin'] },
+  { prefix: '/account' },
+];
+
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+  const rule = PROTECTED_ROUTES.find(route => pathname === route.prefix || pathname.startsWith(`${route.prefix}/`));
+  if (!rule) {
+    return NextResponse.next();
+  }
+
+  const token = request.cookies.get(AUTH_COOKIE_NAME)?.value;
+  const decoded = token && await verifyTokenEdge(token);
+
+  // The access token is short-lived; let the refresh route rotate it and send the reader back
+  if (!decoded) {
+    const refreshUrl = new URL('/api/auth/refresh', request.url);
+    refreshUrl.searchParams.set('next', `${pathname}${search}`);
+    return NextResponse.redirect(refreshUrl);
+  }
+
+  if (rule.roles && !rule.roles.includes(decoded.role)) {
+    return NextResponse.redirect(new URL('/', request.url));
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ['/admin/:path*', '/account/:path*'],
+};
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+export const AUTH_EVENT_TYPES = [
+  'login.success',
+  'login.failure',
+  'signup',
+  'logout',
+  'password.change',
+  'password.reset',
+  'role.change',
+  'token.reuse',
+  'account.disable',
+  'account.enable',
+  'account.delete',
+  'account.deletion-scheduled',
+  'account.deletion-cancelled'
+];
+
+// Append-only record of security-relevant authentication events
+const AuthEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: AUTH_EVENT_TYPES,
+    required: true
+  },
+  // The account the event is about; null for failed logins to unknown emails
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // Who caused it: the user themselves, an admin, or null when unauthenticated
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept as plain text so the trail survives the account being deleted
+  email: {
+    type: String,
+    lowercase: true
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // Event-specific details, e.g. the failure reason or the old and new role
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  // Set when the account's personal data was stripped on deletion
+  anonymisedAt: {
+    type: Date
+  }
+});
+
+AuthEventSchema.index({ createdAt: -1 });
+AuthEventSchema.index({ type: 1, createdAt: -1 });
+
+// Events are never changed once written
+const rejectChange = function(next) {
+  next(new Error('Auth events are append-only'));
+};
+
+AuthEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  AuthEventSchema.pre(operation, rejectChange);
+}
+
+// The one exception to append-only: when an account is deleted, its events
+// keep their type, time and metadata but lose everything that identifies the
+// person. Goes through the driver directly so the hooks above don't block it.
+AuthEventSchema.statics.anonymiseUser = async function(userId, emails = []) {
+  const anonymisedAt = new Date();
+
+  // Events about the account, and failed sign-ins naming its email before it was linked
+  await this.collection.updateMany(
+    { $or: [{ user: userId }, { email: { $in: emails } }] },
+    { $set: { user: null, anonymisedAt }, $unset: { email: '', ip: '', userAgent: '' } }
+  );
+
+  // Actions the user took on other accounts, e.g. as an admin; the device details are theirs
+  await this.collection.updateMany(
+    { actor: userId },
+    { $set: { actor: null, anonymisedAt }, $unset: { ip: '', userAgent: '' } }
+  );
+};
+
+export default mongoose.models.AuthEvent || mongoose.model('AuthEvent', AuthEventSchema);
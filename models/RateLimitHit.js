@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// One document per counted request, used by the Mongo rate limit store so
+// limits hold across multiple app instances
+const RateLimitHitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitHitSchema.index({ key: 1, createdAt: 1 });
+
+// Let MongoDB drop hits once they have left every window
+RateLimitHitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.RateLimitHit || mongoose.model('RateLimitHit', RateLimitHitSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// One document per sign-in. The refresh token rotates on every use; the
+// hashes it has already been rotated away from are kept so that replaying
+// an old token can be detected and the whole session (token family) killed.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  location: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', 'password-reset', 'disabled', null],
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB drop sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be refreshed
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.models.Session || mongoose.model('Session', SessionSchema);
@@ -1,10 +1,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Consecutive failed logins allowed before the account is locked
+const MAX_FAILED_LOGINS = 5;
+// First lockout lasts a minute and doubles with every further failure, up to a day
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Please provide a name'],
+    trim: true,
     maxlength: [60, 'Name cannot be more than 60 characters']
   },
   email: {
@@ -14,11 +21,32 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
+  // Optional for users who only ever signed in through an OAuth provider
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    required: [function() { return !this.accounts?.length; }, 'Please provide a password'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Linked OAuth provider identities
+  accounts: [{
+    provider: {
+      type: String,
+      enum: ['github', 'google'],
+      required: true
+    },
+    providerAccountId: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -26,12 +54,77 @@ const UserSchema = new mongoose.Schema({
   },
   avatar: {
     type: String,
-    default: ''
+    default: '',
+    match: [/^(https?:\/\/\S+|\/\S*)?$/, 'Avatar must be an http(s) URL or a site path']
+  },
+  // Storage key prefix and per-size URLs of an uploaded avatar, unset for external URLs
+  avatarKey: {
+    type: String
+  },
+  avatarSizes: {
+    type: Map,
+    of: String
+  },
+  bio: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [500, 'Bio cannot be more than 500 characters']
   },
   isVerified: {
     type: Boolean,
     default: false
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Set by an admin to block sign-in; existing sessions are revoked at the same time
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  // When the user asked to delete their account; signing in again before the
+  // scheduled hard delete cancels it
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP secrets are stored encrypted (see lib/encryption.js) and never selected by default
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret awaiting confirmation with a first valid code during enrolment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: -1,
+    select: false
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,7 +137,7 @@ const UserSchema = new mongoose.Schema({
 
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -55,11 +148,84 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+UserSchema.index(
+  { 'accounts.provider': 1, 'accounts.providerAccountId': 1 },
+  { unique: true, sparse: true }
+);
+
 // Compare password method
 UserSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Profile fields that are safe to send to the client
+UserSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    avatar: this.avatar,
+    avatarSizes: this.avatarSizes ? Object.fromEntries(this.avatarSizes) : null,
+    bio: this.bio,
+    isVerified: this.isVerified,
+    twoFactorEnabled: this.twoFactorEnabled,
+    providers: this.accounts.map(account => account.provider),
+    // OAuth-only users have no password to confirm sensitive changes with
+    hasPassword: !!this.password,
+    createdAt: this.createdAt
+  };
+};
+
+// Public fields plus the account state admins manage
+UserSchema.methods.toAdminJSON = function() {
+  return {
+    ...this.toPublicJSON(),
+    disabled: !!this.disabledAt,
+    disabledAt: this.disabledAt,
+    deletionScheduledAt: this.deletionScheduledAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Check whether the account is locked after too many failed logins
+UserSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Record a failed login, locking the account progressively longer once the
+// limit is exceeded. Uses an atomic increment so parallel attempts all count.
+UserSchema.methods.registerFailedLogin = async function() {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  this.failedLoginAttempts = failedLoginAttempts;
+
+  if (failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    const lockoutMs = Math.min(
+      LOCKOUT_BASE_MS * 2 ** (failedLoginAttempts - MAX_FAILED_LOGINS),
+      LOCKOUT_MAX_MS
+    );
+    this.lockUntil = new Date(Date.now() + lockoutMs);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil: this.lockUntil } });
+  }
+};
+
+// Clear the failed login counter after a successful login
+UserSchema.methods.resetFailedLogins = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
 // Update the updatedAt field before saving
 UserSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens mailed to a user. Only a hash of the token is stored, so
+// a database leak can't be turned into working links.
+const VerificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['email-verification', 'email-change', 'password-reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The address the token was sent to; verifying it must not verify a different one
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB drop tokens once they have expired
+VerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.VerificationToken || mongoose.model('VerificationToken', VerificationTokenSchema);
@@ -0,0 +1,18 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+
+/** Unit tests for lib/; the "@/" alias matches jsconfig.json */
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@': root,
+    },
+  },
+  test: {
+    environment: 'node',
+    include: ['lib/**/*.test.js'],
+  },
+});